@@ -4,16 +4,67 @@
  */
 
 // Import shared modules
-importScripts('config.js', 'supabaseClient.js');
+importScripts(
+    'config.js',
+    'supabaseClient.js',
+    'utils/publicSuffixList.js',
+    'utils/domains.js',
+    'utils/cosmeticFilters.js',
+    'utils/searchEngines.js',
+    'utils/feedRedaction.js',
+    'utils/rules.js',
+    'utils/keywordMatcher.js',
+    'utils/ruleCompiler.js',
+    'utils/urlMatcher.js'
+);
 
 class BackgroundService
 {
+    /**
+     * Words for phrase challenges
+     */
+    static get CHALLENGE_WORDS()
+    {
+        return [
+            'focus', 'river', 'garden', 'window', 'quiet', 'morning', 'paper', 'button', 'silver', 'forest',
+            'candle', 'ladder', 'orange', 'pencil', 'harbor', 'meadow', 'bridge', 'winter', 'copper', 'anchor',
+            'planet', 'thunder', 'velvet', 'compass', 'lantern', 'marble', 'feather', 'island', 'canyon', 'puzzle',
+            'rocket', 'saddle', 'timber', 'violet', 'walnut', 'yellow', 'zipper', 'basket', 'cactus', 'dragon'
+        ];
+    }
+
+    /**
+     * Message types content scripts are allowed to send
+     */
+    static get CONTENT_SCRIPT_MESSAGES()
+    {
+        return [
+            'BLOCKLIST_GET',
+            'FOCUS_STATUS',
+            'COSMETIC_FILTERS_GET',
+            'SEARCH_ADAPTER_GET',
+            'CONTENT_SCAN_GET',
+            'REDACTION_GET',
+            'REDACTION_OVERRIDE',
+            'CHECK_URL_BLOCKED',
+            'BLOCK_PAGE',
+            'LOG_BLOCK_EVENT',
+            'GET_MOTIVATIONAL_QUOTE'
+        ];
+    }
+
     constructor()
     {
         this.logger = console;
         this.supabaseClient = self.supabaseClient; // Access the global supabaseClient instance
         this.isInitialized = false;
         this.initializationPromise = null;
+        this.matcher = null;
+        this.categoryDomains = {};
+        this.usageQueue = Promise.resolve();
+        this.ruleQueue = Promise.resolve();
+        this.sessionRuleIdQueue = Promise.resolve();
+        this.nextSessionRuleId = null;
     }
 
     /**
@@ -43,6 +94,18 @@ class BackgroundService
             // Set up web navigation listeners
             this.setupNavigationListeners();
 
+            // Track active-tab time for daily allowances
+            this.setupUsageListeners();
+
+            // Rebuild the URL matcher when the cached blocklist changes
+            this.setupStorageListeners();
+
+            // Resume a focus session that was running before a restart
+            await this.resumeFocusSession();
+
+            // Enabled rulesets fall back to the manifest's defaults when the extension updates
+            await this.applyCategoryRulesets((await this.getSettings()).blockCategories);
+
             // Check for existing session
             const session = await this.supabaseClient.getSession();
             if (session)
@@ -103,6 +166,15 @@ class BackgroundService
 
         this.logger.log('Handling message:', type);
 
+        // Web pages (content scripts) may only use the read-only messages
+        if (!this.isExtensionPage(sender) && !BackgroundService.CONTENT_SCRIPT_MESSAGES.includes(type))
+        {
+            throw new Error(`Message type not allowed from web pages: ${type}`);
+        }
+
+        // Strict mode is enforced here so no caller can get around it
+        await this.enforceStrictMode(type, payload);
+
         switch (type)
         {
             // Authentication - delegate to supabaseClient
@@ -139,30 +211,125 @@ class BackgroundService
 
             // Blocklist management
             case 'BLOCKLIST_GET':
-                return await this.supabaseClient.getUserBlocklist();
+                return payload?.effective
+                    ? await this.getEffectiveBlocklistResult()
+                    : await this.getBlocklist();
 
             case 'BLOCKLIST_UPDATE':
+                // Schedules are checked like those set entry by entry
+                for (const entry of [...(payload?.domains || []), ...(payload?.keywords || [])])
+                {
+                    if (entry?.schedule) this.validateSchedule(entry.schedule);
+                }
+
                 const updateResult = await this.supabaseClient.updateUserBlocklist(payload);
                 if (updateResult.success)
                 {
-                    await this.applyBlockingRules(updateResult.data);
+                    await this.reapplyBlockingRules();
                 }
                 return updateResult;
 
+            case 'BLOCKLISTS_GET':
+                return await this.getBlocklists();
+
+            case 'BLOCKLIST_CREATE':
+                return await this.createList(payload.name);
+
+            case 'BLOCKLIST_RENAME':
+                return await this.renameList(payload.listId, payload.name);
+
+            case 'BLOCKLIST_DELETE':
+                return await this.deleteList(payload.listId);
+
+            case 'BLOCKLIST_SET_ACTIVE':
+                return await this.setListActive(payload.listId, payload.active);
+
             case 'BLOCKLIST_ADD_KEYWORD':
-                return await this.addKeyword(payload.keyword);
+                return await this.addKeyword(payload.keyword, payload);
 
             case 'BLOCKLIST_REMOVE_KEYWORD':
-                return await this.removeKeyword(payload.keyword);
+                return await this.removeKeyword(payload.keyword, payload.listId);
+
+            case 'BLOCKLIST_SET_KEYWORD_OPTIONS':
+                return await this.setKeywordOptions(payload.keyword, payload, payload.listId);
 
             case 'BLOCKLIST_ADD_DOMAIN':
-                return await this.addDomain(payload.domain);
+                return await this.addDomain(payload.domain, payload);
+
+            case 'BLOCKLIST_ADD_RULE':
+                return await this.addRule(payload.ruleType, payload.value, payload);
 
             case 'BLOCKLIST_REMOVE_DOMAIN':
-                return await this.removeDomain(payload.domain);
+                return await this.removeDomain(payload.domain, payload.listId);
+
+            case 'BLOCKLIST_ADD_ALLOWED':
+                return await this.addAllowed(payload.pattern, payload.listId);
+
+            case 'BLOCKLIST_REMOVE_ALLOWED':
+                return await this.removeAllowed(payload.pattern, payload.listId);
+
+            case 'BLOCKLIST_ADD_EXCEPTION':
+                return await this.addException(payload.ruleType, payload.value, payload.listId);
+
+            case 'BLOCKLIST_REMOVE_EXCEPTION':
+                return await this.removeException(payload.value, payload.listId);
+
+            case 'BLOCKLIST_SET_SCHEDULE':
+                return await this.setEntrySchedule(payload.listType, payload.value, payload.schedule, payload.listId);
+
+            case 'BLOCKLIST_SET_ALLOWANCE':
+                return await this.setEntryAllowance(payload.value, payload.minutes, payload.listId);
+
+            case 'BLOCKLIST_SET_VISIT_LIMIT':
+                return await this.setEntryVisitLimit(payload.value, payload.visits, payload.listId);
 
             case 'BLOCKLIST_IMPORT_GITHUB':
-                return await this.importGithubList(payload.url);
+                return await this.importGithubList(payload.url, payload.listId);
+
+            // Focus sessions
+            case 'FOCUS_START':
+                return await this.startFocusSession(payload);
+
+            case 'FOCUS_STOP':
+                return await this.stopFocusSession();
+
+            case 'FOCUS_STATUS':
+                return await this.getFocusStatus();
+
+            // Daily allowances
+            case 'ALLOWANCE_STATUS':
+                return await this.getAllowanceStatus(payload?.url);
+
+            // Cosmetic filters
+            case 'COSMETIC_FILTERS_GET':
+                return await this.getCosmeticFilters(payload?.hostname);
+
+            case 'COSMETIC_FILTER_ADD':
+                return await this.addCosmeticFilter(payload.domain, payload.selector);
+
+            case 'COSMETIC_FILTER_REMOVE':
+                return await this.removeCosmeticFilter(payload.domain, payload.selector);
+
+            // Full-page keyword scan
+            case 'CONTENT_SCAN_GET':
+                return await this.getContentScanSettings();
+
+            // Feed redaction
+            case 'REDACTION_GET':
+                return await this.getRedaction(payload?.hostname);
+
+            case 'REDACTION_OVERRIDE':
+                return await this.logRedactionOverride(payload);
+
+            // Search engine adapters
+            case 'SEARCH_ADAPTER_GET':
+                return await this.getSearchAdapter(payload?.hostname);
+
+            case 'SEARCH_ENGINE_ADD':
+                return await this.addSearchEngine(payload);
+
+            case 'SEARCH_ENGINE_REMOVE':
+                return await this.removeSearchEngine(payload.domain);
 
             // Statistics
             case 'STATS_GET':
@@ -181,17 +348,26 @@ class BackgroundService
 
             // Utility
             case 'CHECK_URL_BLOCKED':
-                return await this.checkUrlBlocked(payload.url);
+                return { success: true, data: await this.checkUrlBlocked(payload.url) };
+
+            case 'RULES_BUDGET_GET':
+                return await this.getRuleBudget();
 
             case 'GET_MOTIVATIONAL_QUOTE':
                 return this.getRandomQuote();
 
             case 'BLOCK_PAGE':
-                return await this.handleBlockPage(payload);
+                return await this.handleBlockPage(payload, sender);
 
             case 'TEMP_UNBLOCK':
                 return await this.handleTempUnblock(payload);
 
+            case 'CHALLENGE_START':
+                return await this.startChallenge(payload.url);
+
+            case 'CHALLENGE_COMPLETE':
+                return await this.completeChallenge(payload.id, payload.response);
+
             case 'LOG_BLOCK_EVENT':
                 return await this.logBlockEvent(payload);
 
@@ -200,6 +376,134 @@ class BackgroundService
         }
     }
 
+    /**
+     * Check if a message comes from one of the extension's own pages
+     */
+    isExtensionPage(sender)
+    {
+        return sender?.id === chrome.runtime.id &&
+            Boolean(sender.url?.startsWith(chrome.runtime.getURL('')));
+    }
+
+    /**
+     * Get the time strict mode stays locked until, or null when it is not locked
+     */
+    async getStrictLock()
+    {
+        const settings = await this.getSettings();
+        if (!settings.strictMode || !settings.strictModeLockedUntil) return null;
+
+        return settings.strictModeLockedUntil > Date.now() ? settings.strictModeLockedUntil : null;
+    }
+
+    /**
+     * Refuse messages that would weaken blocking while strict mode is locked
+     */
+    async enforceStrictMode(type, payload)
+    {
+        const lockedUntil = await this.getStrictLock();
+        if (!lockedUntil) return;
+
+        let refused = false;
+
+        switch (type)
+        {
+            case 'BLOCKLIST_REMOVE_KEYWORD':
+            case 'BLOCKLIST_REMOVE_DOMAIN':
+            case 'BLOCKLIST_ADD_ALLOWED':
+            case 'BLOCKLIST_ADD_EXCEPTION':
+            case 'BLOCKLIST_SET_SCHEDULE':
+            case 'BLOCKLIST_SET_ALLOWANCE':
+            case 'BLOCKLIST_SET_VISIT_LIMIT':
+            case 'BLOCKLIST_SET_KEYWORD_OPTIONS':
+            case 'BLOCKLIST_DELETE':
+            case 'TEMP_UNBLOCK':
+            case 'CHALLENGE_COMPLETE':
+            case 'REDACTION_OVERRIDE':
+            case 'FOCUS_STOP':
+            case 'COSMETIC_FILTER_REMOVE':
+            case 'SEARCH_ENGINE_REMOVE':
+            case 'AUTH_SIGN_OUT':
+                refused = true;
+                break;
+
+            case 'BLOCKLIST_SET_ACTIVE':
+                refused = payload?.active === false;
+                break;
+
+            // A new session would replace the running one and its rules
+            case 'FOCUS_START':
+                refused = Boolean(await this.getFocusSession());
+                break;
+
+            case 'BLOCKLIST_UPDATE':
+                refused = this.isBlocklistWeakened(await this.getCachedList(payload?.id), payload);
+                break;
+
+            case 'SETTINGS_UPDATE':
+                refused = this.isSettingsWeakened(await this.getSettings(), payload);
+                break;
+        }
+
+        if (refused)
+        {
+            throw new Error(`Strict mode is locked until ${new Date(lockedUntil).toLocaleString()}`);
+        }
+    }
+
+    /**
+     * Check if a blocklist update removes or loosens any entry
+     */
+    isBlocklistWeakened(current, updates)
+    {
+        if (!current || !updates) return false;
+
+        const entryKey = (entry) => JSON.stringify(BlockRules.normalizeEntry(entry));
+
+        for (const listType of ['keywords', 'domains', 'github_urls'])
+        {
+            const next = new Set((updates[listType] || []).map(entryKey));
+            if ((current[listType] || []).some(entry => !next.has(entryKey(entry))))
+            {
+                return true;
+            }
+        }
+
+        // Growing the allowlist loosens whitelist mode, new exceptions open blocked sites
+        return ['allowlist', 'exceptions'].some(listType => (updates[listType] || []).some(entry =>
+            !BlockRules.hasValue(current[listType], BlockRules.getValue(entry))
+        ));
+    }
+
+    /**
+     * Check if a settings update turns off any protection
+     */
+    isSettingsWeakened(current, updates)
+    {
+        if (!updates) return false;
+
+        // Switching off a built-in cosmetic filter shows the hidden feed again
+        const disablesFilter = Array.isArray(updates.cosmeticFilters) &&
+            (current.cosmeticFilters || []).some(id => !updates.cosmeticFilters.includes(id));
+        const disablesCategory = Array.isArray(updates.blockCategories) &&
+            (current.blockCategories || []).some(id => !updates.blockCategories.includes(id));
+        const raisesThreshold = updates.contentScanThreshold !== undefined &&
+            Number(updates.contentScanThreshold) > current.contentScanThreshold;
+
+        // Redacting single posts replaces blocking the whole page
+        const enablesRedaction = current.redaction === 'off' &&
+            updates.redaction !== undefined && updates.redaction !== 'off';
+
+        return updates.strictMode === false ||
+            (current.whitelistMode && updates.whitelistMode === false) ||
+            (current.safeSearch && updates.safeSearch === false) ||
+            (current.contentScan && updates.contentScan === false) ||
+            raisesThreshold ||
+            enablesRedaction ||
+            disablesFilter ||
+            disablesCategory;
+    }
+
     /**
      * Handle user authenticated
      */
@@ -209,8 +513,8 @@ class BackgroundService
         {
             this.logger.info('User authenticated, initializing services...');
 
-            // Load blocklist and apply blocking rules
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
+            // Load the named lists and apply blocking rules
+            const blocklistResult = await this.supabaseClient.getUserBlocklists();
             if (blocklistResult.success)
             {
                 await this.applyBlockingRules(blocklistResult.data);
@@ -218,6 +522,7 @@ class BackgroundService
 
             // Update extension badge
             this.updateBadge('ON', '#10B981');
+            await this.updateFocusBadge();
 
             this.logger.info('Services initialized for authenticated user');
         } catch (error)
@@ -247,167 +552,271 @@ class BackgroundService
     }
 
     /**
-     * Add keyword to blocklist
+     * Get the named blocklists
      */
-    async addKeyword(keyword)
+    async getBlocklists()
     {
-        try
+        const cached = await this.supabaseClient.getCachedBlocklists();
+        if (cached)
         {
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
-            if (!blocklistResult.success)
-            {
-                return blocklistResult;
-            }
+            return { success: true, data: cached };
+        }
 
-            const blocklist = blocklistResult.data;
+        return await this.supabaseClient.getUserBlocklists();
+    }
 
-            // Check if keyword already exists
-            if (blocklist.keywords.includes(keyword))
-            {
-                return { success: true, message: 'Keyword already in blocklist' };
-            }
+    /**
+     * Get a cached list by ID, or the default list
+     */
+    async getCachedList(listId)
+    {
+        const lists = await this.supabaseClient.getCachedBlocklists() || [];
+        return (listId ? lists.find(list => list.id === listId) : lists[0]) || null;
+    }
 
-            // Check subscription limits
-            const user = await this.supabaseClient.getCurrentUser();
-            if (user)
+    /**
+     * Get a list to edit by ID, or the default list
+     */
+    async getEditableList(listId)
+    {
+        const listsResult = await this.supabaseClient.getUserBlocklists();
+        if (!listsResult.success)
+        {
+            return listsResult;
+        }
+
+        const list = listId
+            ? listsResult.data.find(candidate => candidate.id === listId)
+            : listsResult.data[0];
+
+        return list ? { success: true, data: list } : { success: false, error: 'Blocklist not found' };
+    }
+
+    /**
+     * Validate a list name against the existing lists
+     */
+    validateListName(name, lists, listId = null)
+    {
+        const trimmed = String(name || '').trim();
+        if (!trimmed)
+        {
+            throw new Error('List name is required');
+        }
+
+        if (trimmed.length > CONFIG.BLOCKING.LISTS.MAX_NAME_LENGTH)
+        {
+            throw new Error(`List name must be at most ${CONFIG.BLOCKING.LISTS.MAX_NAME_LENGTH} characters`);
+        }
+
+        if (lists.some(list => list.id !== listId && list.name.toLowerCase() === trimmed.toLowerCase()))
+        {
+            throw new Error('A list with this name already exists');
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Create a named blocklist
+     */
+    async createList(name)
+    {
+        try
+        {
+            const listsResult = await this.supabaseClient.getUserBlocklists();
+            if (!listsResult.success)
             {
-                // For now, we'll skip limit checking - this should be done server-side
-                // or by fetching user data from the users table
+                return listsResult;
             }
 
-            // Add keyword
-            blocklist.keywords.push(keyword);
-            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
-
-            if (updateResult.success)
+            if (listsResult.data.length >= CONFIG.BLOCKING.LISTS.MAX_LISTS)
             {
-                await this.applyBlockingRules(updateResult.data);
+                throw new Error(`You can have at most ${CONFIG.BLOCKING.LISTS.MAX_LISTS} lists`);
             }
 
-            return updateResult;
+            return await this.supabaseClient.createBlocklist(this.validateListName(name, listsResult.data));
         } catch (error)
         {
-            this.logger.error('Add keyword error:', error);
+            this.logger.error('Create list error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Remove keyword from blocklist
+     * Rename a named blocklist
      */
-    async removeKeyword(keyword)
+    async renameList(listId, name)
     {
         try
         {
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
-            if (!blocklistResult.success)
+            const listsResult = await this.supabaseClient.getUserBlocklists();
+            if (!listsResult.success)
             {
-                return blocklistResult;
+                return listsResult;
             }
 
-            const blocklist = blocklistResult.data;
-            blocklist.keywords = blocklist.keywords.filter(k => k !== keyword);
-
-            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
-
-            if (updateResult.success)
+            const list = listsResult.data.find(candidate => candidate.id === listId);
+            if (!list)
             {
-                await this.applyBlockingRules(updateResult.data);
+                return { success: false, error: 'Blocklist not found' };
             }
 
-            return updateResult;
+            return await this.supabaseClient.updateUserBlocklist({
+                ...list,
+                name: this.validateListName(name, listsResult.data, listId)
+            });
         } catch (error)
         {
-            this.logger.error('Remove keyword error:', error);
+            this.logger.error('Rename list error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Add domain to blocklist
+     * Delete a named blocklist
+     * The last remaining list cannot be deleted
      */
-    async addDomain(domain)
+    async deleteList(listId)
     {
         try
         {
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
-            if (!blocklistResult.success)
+            const listsResult = await this.supabaseClient.getUserBlocklists();
+            if (!listsResult.success)
             {
-                return blocklistResult;
+                return listsResult;
             }
 
-            const blocklist = blocklistResult.data;
-
-            // Normalize domain
-            domain = domain.replace(/^(https?:\/\/)?(www\.)?/, '').toLowerCase();
+            if (listsResult.data.length <= 1)
+            {
+                throw new Error('You need at least one list');
+            }
 
-            // Check if domain already exists
-            if (blocklist.domains.includes(domain))
+            const deleteResult = await this.supabaseClient.deleteBlocklist(listId);
+            if (deleteResult.success)
             {
-                return { success: true, message: 'Domain already in blocklist' };
+                await this.reapplyBlockingRules();
             }
 
-            // Add domain
-            blocklist.domains.push(domain);
-            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+            return deleteResult;
+        } catch (error)
+        {
+            this.logger.error('Delete list error:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
+    /**
+     * Turn a named blocklist on or off
+     */
+    async setListActive(listId, active)
+    {
+        try
+        {
+            const updateResult = await this.supabaseClient.setBlocklistActive(listId, Boolean(active));
             if (updateResult.success)
             {
-                await this.applyBlockingRules(updateResult.data);
+                await this.reapplyBlockingRules();
             }
 
             return updateResult;
         } catch (error)
         {
-            this.logger.error('Add domain error:', error);
+            this.logger.error('Set list active error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Remove domain from blocklist
+     * Add keyword to blocklist
      */
-    async removeDomain(domain)
+    async addKeyword(keyword, options = {})
     {
         try
         {
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
+            const blocklistResult = await this.getEditableList(options.listId);
             if (!blocklistResult.success)
             {
                 return blocklistResult;
             }
 
             const blocklist = blocklistResult.data;
-            blocklist.domains = blocklist.domains.filter(d => d !== domain);
+
+            // Check if keyword already exists
+            if (BlockRules.hasValue(blocklist.keywords, keyword))
+            {
+                return { success: true, message: 'Keyword already in blocklist' };
+            }
+
+            // Check subscription limits
+            const user = await this.supabaseClient.getCurrentUser();
+            if (user)
+            {
+                // For now, we'll skip limit checking - this should be done server-side
+                // or by fetching user data from the users table
+            }
+
+            // Add keyword; plain keywords stay strings so older clients can still read them
+            const entry = { value: keyword, ...this.getKeywordOptions(options) };
+            if (options.schedule) entry.schedule = this.validateSchedule(options.schedule);
+            blocklist.keywords.push(Object.keys(entry).length > 1 ? entry : keyword);
 
             const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
 
             if (updateResult.success)
             {
-                await this.applyBlockingRules(updateResult.data);
+                await this.reapplyBlockingRules();
             }
 
             return updateResult;
         } catch (error)
         {
-            this.logger.error('Remove domain error:', error);
+            this.logger.error('Add keyword error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Import GitHub blocklist
+     * Pick and check the matching options of a keyword entry
      */
-    async importGithubList(url)
+    getKeywordOptions(options = {})
     {
-        try
+        const keywordOptions = {};
+
+        if (options.mode)
         {
-            if (!url.includes('github.com'))
+            if (!KeywordMatcher.MODES.includes(options.mode))
             {
-                throw new Error('Invalid GitHub URL');
+                throw new Error('Invalid keyword mode');
             }
+            keywordOptions.mode = options.mode;
+        }
 
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
+        if (options.leet)
+        {
+            keywordOptions.leet = true;
+        }
+
+        const exclude = (options.exclude || [])
+            .map(phrase => String(phrase).trim().toLowerCase())
+            .filter(Boolean);
+        if (exclude.length > 0)
+        {
+            keywordOptions.exclude = [...new Set(exclude)];
+        }
+
+        return keywordOptions;
+    }
+
+    /**
+     * Change how a keyword entry matches: its mode, leet folding and exclusion phrases
+     */
+    async setKeywordOptions(keyword, options = {}, listId)
+    {
+        try
+        {
+            const keywordOptions = this.getKeywordOptions(options);
+
+            const blocklistResult = await this.getEditableList(listId);
             if (!blocklistResult.success)
             {
                 return blocklistResult;
@@ -415,428 +824,2629 @@ class BackgroundService
 
             const blocklist = blocklistResult.data;
 
-            // Fetch and parse the list
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Failed to fetch GitHub list');
-
-            const content = await response.text();
-            const lines = content.split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#'));
-
-            // Add to GitHub URLs
-            if (!blocklist.github_urls.includes(url))
+            if (!BlockRules.hasValue(blocklist.keywords, keyword))
             {
-                blocklist.github_urls.push(url);
+                return { success: false, error: 'Entry not found in blocklist' };
             }
 
-            // Parse and add domains
-            const domains = new Set(blocklist.domains);
-            lines.forEach(line =>
+            blocklist.keywords = blocklist.keywords.map(entry =>
             {
-                if (line.includes('.'))
-                {
-                    domains.add(line.replace(/^(https?:\/\/)?(www\.)?/, '').toLowerCase());
-                }
+                if (BlockRules.getValue(entry) !== keyword) return entry;
+
+                const { mode, leet, exclude, ...rest } = BlockRules.normalizeEntry(entry);
+                const updated = { ...rest, ...keywordOptions };
+                return Object.keys(updated).length > 1 ? updated : keyword;
             });
 
-            blocklist.domains = Array.from(domains);
             const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
 
             if (updateResult.success)
             {
-                await this.applyBlockingRules(updateResult.data);
+                await this.reapplyBlockingRules();
             }
 
             return updateResult;
         } catch (error)
         {
-            this.logger.error('Import GitHub list error:', error);
+            this.logger.error('Set keyword options error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Apply blocking rules using declarativeNetRequest
+     * Remove keyword from blocklist
      */
-    async applyBlockingRules(blocklist)
+    async removeKeyword(keyword, listId)
     {
         try
         {
-            const rules = [];
-            let ruleId = 1;
-
-            // Create rules for domain blocking
-            if (blocklist.domains && blocklist.domains.length > 0)
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
             {
-                for (const domain of blocklist.domains)
-                {
-                    rules.push({
-                        id: ruleId++,
-                        priority: 1,
-                        action: {
-                            type: 'redirect',
-                            redirect: {
-                                url: chrome.runtime.getURL('blocked.html') +
-                                    `?reason=${encodeURIComponent('Domain blocked: ' + domain)}`
-                            }
-                        },
-                        condition: {
-                            urlFilter: `||${domain}^`,
-                            resourceTypes: ['main_frame']
-                        }
-                    });
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.keywords = blocklist.keywords.filter(k => BlockRules.getValue(k) !== keyword);
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Remove keyword error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add domain to blocklist
+     */
+    async addDomain(domain, options = {})
+    {
+        return this.addRule('domain', domain, options);
+    }
+
+    /**
+     * Add a URL rule (domain, path, wildcard or regex) to the domain list
+     */
+    async addRule(type, value, options = {})
+    {
+        try
+        {
+            type = type || BlockRules.detectRuleType(value);
+            value = BlockRules.normalizeRuleValue(type, value);
+
+            const blocklistResult = await this.getEditableList(options.listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+
+            // Check if rule already exists
+            if (BlockRules.hasValue(blocklist.domains, value))
+            {
+                return { success: true, message: 'Rule already in blocklist' };
+            }
+
+            // Plain domains stay strings so older clients can still read them
+            const entry = { type, value };
+            if (options.schedule) entry.schedule = this.validateSchedule(options.schedule);
+            if (options.allowance) entry.allowance = this.validateAllowance(options.allowance);
+            if (options.visitLimit) entry.visitLimit = this.validateVisitLimit(options.visitLimit);
+            if (type === 'domain' && options.includeSubdomains === false) entry.includeSubdomains = false;
+            if (options.blockFrames) entry.blockFrames = true;
+            if (options.redirectUrl) entry.redirectUrl = this.validateRedirectUrl(options.redirectUrl, entry);
+            if (options.challenge)
+            {
+                if (!BlockRules.CHALLENGES.includes(options.challenge)) throw new Error('Invalid challenge');
+                entry.challenge = options.challenge;
+            }
+
+            const isPlain = type === 'domain' && Object.keys(entry).length === 2;
+            blocklist.domains.push(isPlain ? value : entry);
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Add rule error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove domain from blocklist
+     */
+    async removeDomain(domain, listId)
+    {
+        try
+        {
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.domains = blocklist.domains.filter(d => BlockRules.getValue(d) !== domain);
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Remove domain error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add a domain or "domain/path" pattern to the allowlist used by whitelist mode
+     */
+    async addAllowed(pattern, listId)
+    {
+        try
+        {
+            const { host, path } = BlockRules.parseUrlPattern(pattern || '');
+            if (!host || !host.includes('.'))
+            {
+                throw new Error('Invalid allowlist entry');
+            }
+
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.allowlist = blocklist.allowlist || [];
+
+            const value = host + path;
+            if (BlockRules.hasValue(blocklist.allowlist, value))
+            {
+                return { success: true, message: 'Already in allowlist' };
+            }
+
+            blocklist.allowlist.push(value);
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Add allowlist entry error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove an entry from the allowlist
+     */
+    async removeAllowed(pattern, listId)
+    {
+        try
+        {
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.allowlist = (blocklist.allowlist || []).filter(a => BlockRules.getValue(a) !== pattern);
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Remove allowlist entry error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add an exception that stays reachable under a blocked domain
+     * Exceptions use the same rule types as the domain list ("reddit.com/r/programming")
+     */
+    async addException(type, value, listId)
+    {
+        try
+        {
+            type = type || BlockRules.detectRuleType(value);
+            value = BlockRules.normalizeRuleValue(type, value);
+
+            // An exception without its allow rule would still be redirected by the block rule
+            if (type === 'regex')
+            {
+                const result = await chrome.declarativeNetRequest.isRegexSupported({ regex: value });
+                if (!result.isSupported)
+                {
+                    throw new Error('This regex is not supported by Chrome and cannot be an exception');
+                }
+            }
+
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.exceptions = blocklist.exceptions || [];
+
+            if (BlockRules.hasValue(blocklist.exceptions, value))
+            {
+                return { success: true, message: 'Already in exceptions' };
+            }
+
+            blocklist.exceptions.push({ type, value });
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Add exception error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove an exception
+     */
+    async removeException(value, listId)
+    {
+        try
+        {
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+            blocklist.exceptions = (blocklist.exceptions || []).filter(e => BlockRules.getValue(e) !== value);
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Remove exception error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Set or clear the weekly schedule of a keyword or domain entry
+     */
+    async setEntrySchedule(listType, value, schedule, listId)
+    {
+        try
+        {
+            if (listType !== 'keywords' && listType !== 'domains')
+            {
+                throw new Error('Invalid list type');
+            }
+
+            if (schedule) this.validateSchedule(schedule);
+
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+
+            if (!BlockRules.hasValue(blocklist[listType], value))
+            {
+                return { success: false, error: 'Entry not found in blocklist' };
+            }
+
+            blocklist[listType] = blocklist[listType].map(entry =>
+            {
+                if (BlockRules.getValue(entry) !== value) return entry;
+                return schedule ? { ...BlockRules.normalizeEntry(entry), schedule } : value;
+            });
+
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Set schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check a weekly schedule
+     */
+    validateSchedule(schedule)
+    {
+        if (!BlockRules.isValidSchedule(schedule))
+        {
+            throw new Error('Invalid schedule');
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Check a daily allowance in minutes
+     */
+    validateAllowance(minutes)
+    {
+        const value = Number(minutes);
+        if (!Number.isInteger(value) || value < 1 || value > CONFIG.BLOCKING.ALLOWANCE.MAX_MINUTES)
+        {
+            throw new Error('Invalid daily allowance');
+        }
+
+        return value;
+    }
+
+    /**
+     * Check a daily visit limit
+     */
+    validateVisitLimit(visits)
+    {
+        const value = Number(visits);
+        if (!Number.isInteger(value) || value < 1 || value > CONFIG.BLOCKING.ALLOWANCE.MAX_VISITS)
+        {
+            throw new Error('Invalid visit limit');
+        }
+
+        return value;
+    }
+
+    /**
+     * Validate the destination of a redirect rule
+     * A destination the rule itself matches would redirect forever
+     */
+    validateRedirectUrl(url, entry)
+    {
+        const redirectUrl = BlockRules.normalizeRedirectUrl(url);
+        if (BlockRules.matchesRule(entry, redirectUrl))
+        {
+            throw new Error('The redirect URL is matched by the rule itself');
+        }
+
+        return redirectUrl;
+    }
+
+    /**
+     * Set or clear the daily time allowance of a domain list entry
+     * The entry only blocks once its allowance for the day is used up
+     */
+    async setEntryAllowance(value, minutes, listId)
+    {
+        try
+        {
+            return await this.setEntryLimit(value, 'allowance', minutes ? this.validateAllowance(minutes) : null, listId);
+        } catch (error)
+        {
+            this.logger.error('Set allowance error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Set or clear the daily visit limit of a domain list entry
+     * The entry only blocks once it has been visited more often than the limit today
+     */
+    async setEntryVisitLimit(value, visits, listId)
+    {
+        try
+        {
+            return await this.setEntryLimit(value, 'visitLimit', visits ? this.validateVisitLimit(visits) : null, listId);
+        } catch (error)
+        {
+            this.logger.error('Set visit limit error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Set or clear a daily limit field of a domain list entry
+     */
+    async setEntryLimit(value, field, limit, listId)
+    {
+        const blocklistResult = await this.getEditableList(listId);
+        if (!blocklistResult.success)
+        {
+            return blocklistResult;
+        }
+
+        const blocklist = blocklistResult.data;
+
+        if (!BlockRules.hasValue(blocklist.domains, value))
+        {
+            return { success: false, error: 'Entry not found in blocklist' };
+        }
+
+        blocklist.domains = blocklist.domains.map(entry =>
+        {
+            if (BlockRules.getValue(entry) !== value) return entry;
+
+            const { [field]: previous, ...rest } = BlockRules.normalizeEntry(entry);
+            return limit ? { type: BlockRules.getRuleType(entry), ...rest, [field]: limit } : rest;
+        });
+
+        const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+        if (updateResult.success)
+        {
+            this.matcher = null;
+            await this.reapplyBlockingRules();
+            await this.updateUsageTracking();
+        }
+
+        return updateResult;
+    }
+
+    /**
+     * Import GitHub blocklist
+     */
+    async importGithubList(url, listId)
+    {
+        try
+        {
+            if (!url.includes('github.com'))
+            {
+                throw new Error('Invalid GitHub URL');
+            }
+
+            const blocklistResult = await this.getEditableList(listId);
+            if (!blocklistResult.success)
+            {
+                return blocklistResult;
+            }
+
+            const blocklist = blocklistResult.data;
+
+            // Fetch and parse the list
+            const response = await fetch(url);
+            if (!response.ok) throw new Error('Failed to fetch GitHub list');
+
+            const content = await response.text();
+            const lines = content.split('\n')
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'));
+
+            // Add to GitHub URLs
+            if (!blocklist.github_urls.includes(url))
+            {
+                blocklist.github_urls.push(url);
+            }
+
+            // Parse and add domains, skipping lines that are not a blockable domain
+            const domains = new Set(blocklist.domains.map(entry => BlockRules.getValue(entry)));
+            lines.forEach(line =>
+            {
+                let domain;
+                try
+                {
+                    domain = Domains.normalize(line);
+                } catch
+                {
+                    return;
+                }
+
+                if (!domains.has(domain))
+                {
+                    domains.add(domain);
+                    blocklist.domains.push(domain);
+                }
+            });
+            const updateResult = await this.supabaseClient.updateUserBlocklist(blocklist);
+
+            if (updateResult.success)
+            {
+                await this.reapplyBlockingRules();
+            }
+
+            return updateResult;
+        } catch (error)
+        {
+            this.logger.error('Import GitHub list error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply blocking rules using declarativeNetRequest
+     * Takes the merged blocklist or the collection of named lists
+     * Calls are queued so overlapping updates never diff against the same rule snapshot
+     */
+    applyBlockingRules(blocklist)
+    {
+        const next = this.ruleQueue.then(() => this._applyBlockingRules(blocklist));
+        this.ruleQueue = next.catch(() => {});
+        return next;
+    }
+
+    async _applyBlockingRules(blocklist)
+    {
+        try
+        {
+            // Only enabled lists are blocked
+            if (Array.isArray(blocklist))
+            {
+                blocklist = this.supabaseClient.mergeBlocklists(blocklist);
+            }
+
+            // Focus session rules are added on top of the user's blocklist
+            blocklist = await this.getEffectiveBlocklist(blocklist);
+
+            const settings = await this.getSettings();
+            const compiler = new RuleCompiler();
+            const { rules, overflow, droppedExceptions } = compiler.compile(blocklist, settings, {
+                unsupportedRegex: await this.getUnsupportedRegex(blocklist)
+            });
+
+            const { added, removed } = await this.syncDynamicRules(rules);
+            await this.saveRuleBudget(compiler, rules, overflow, droppedExceptions);
+
+            if (overflow.length > 0)
+            {
+                this.logger.warn(`${overflow.length} entries exceed the rule budget and use navigation fallback`);
+            }
+
+            if (droppedExceptions.length > 0)
+            {
+                this.logger.warn(`${droppedExceptions.length} exceptions could not be compiled and are not applied`);
+            }
+
+            this.logger.info(`Applied ${rules.length} blocking rules (${added} added, ${removed} removed)`);
+
+            // Re-apply when the next scheduled entry switches on or off
+            this.scheduleRuleRefresh(blocklist);
+
+            // Notify content scripts about blocklist update
+            chrome.tabs.query({}, (tabs) =>
+            {
+                tabs.forEach(tab =>
+                {
+                    chrome.tabs.sendMessage(tab.id, {
+                        type: 'BLOCKLIST_UPDATED',
+                        payload: blocklist
+                    }).catch(() =>
+                    {
+                        // Ignore errors for tabs that don't have content script
+                    });
+                });
+            });
+        } catch (error)
+        {
+            this.logger.error('Failed to apply blocking rules:', error);
+        }
+    }
+
+    /**
+     * Update dynamic rules incrementally
+     * Each compiled rule is identified by its content key; the key → rule ID map
+     * is stored so unchanged rules keep their IDs across service worker restarts
+     */
+    async syncDynamicRules(rules)
+    {
+        const key = CONFIG.CACHE.STORAGE_KEYS.RULE_IDS;
+        const stored = (await chrome.storage.local.get(key))[key] || {};
+        const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+        const existingIds = new Set(existingRules.map(rule => rule.id));
+
+        const ruleIds = {};
+        const pending = [];
+
+        // Keep rules that are still wanted and still installed
+        for (const rule of rules)
+        {
+            const ruleKey = RuleCompiler.getRuleKey(rule);
+            if (ruleIds[ruleKey]) continue;
+
+            if (stored[ruleKey] && existingIds.has(stored[ruleKey]))
+            {
+                ruleIds[ruleKey] = stored[ruleKey];
+            } else
+            {
+                ruleIds[ruleKey] = null;
+                pending.push({ ruleKey, rule });
+            }
+        }
+
+        const keptIds = new Set(Object.values(ruleIds).filter(Boolean));
+        const removeRuleIds = [...existingIds].filter(id => !keptIds.has(id));
+
+        // Give new rules the lowest free IDs
+        let nextId = 1;
+        const addRules = pending.map(({ ruleKey, rule }) =>
+        {
+            while (keptIds.has(nextId)) nextId++;
+            keptIds.add(nextId);
+            ruleIds[ruleKey] = nextId;
+            return { ...rule, id: nextId };
+        });
+
+        if (removeRuleIds.length > 0 || addRules.length > 0)
+        {
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+        }
+
+        await chrome.storage.local.set({ [key]: ruleIds });
+
+        return { added: addRules.length, removed: removeRuleIds.length };
+    }
+
+    /**
+     * Get regex entries that Chrome cannot compile to a regexFilter
+     */
+    async getUnsupportedRegex(blocklist)
+    {
+        const unsupported = new Set();
+        const regexEntries = BlockRules.getActiveEntries([...(blocklist.domains || []), ...(blocklist.exceptions || [])])
+            .filter(entry => BlockRules.getRuleType(entry) === 'regex');
+
+        for (const entry of regexEntries)
+        {
+            const result = await chrome.declarativeNetRequest.isRegexSupported({ regex: entry.value });
+            if (!result.isSupported)
+            {
+                unsupported.add(entry.value);
+            }
+        }
+
+        return unsupported;
+    }
+
+    /**
+     * Store the rule budget so the popup can show it
+     */
+    async saveRuleBudget(compiler, rules, overflow, droppedExceptions = [])
+    {
+        const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+        const used = {
+            dynamic: rules.length,
+            unsafeDynamic: rules.filter(rule => rule.action.type === 'redirect').length,
+            regex: rules.filter(rule => rule.condition.regexFilter).length
+        };
+
+        const budget = {
+            ...compiler.getBudget(used, sessionRules.length),
+            fallback: overflow.length,
+            droppedExceptions: droppedExceptions.map(entry => entry.value)
+        };
+
+        await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.RULE_BUDGET]: budget });
+        return budget;
+    }
+
+    /**
+     * Get the stored rule budget
+     */
+    async getRuleBudget()
+    {
+        const key = CONFIG.CACHE.STORAGE_KEYS.RULE_BUDGET;
+        const result = await chrome.storage.local.get(key);
+        const budget = result[key];
+        if (!budget) return { success: true, data: null };
+
+        // Temporary unblocks change session rules between compiles
+        const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+        budget.session.used = sessionRules.length;
+        budget.session.remaining = Math.max(budget.session.limit - sessionRules.length, 0);
+
+        return { success: true, data: budget };
+    }
+
+    /**
+     * Schedule an alarm for the next schedule window boundary
+     */
+    scheduleRuleRefresh(blocklist)
+    {
+        const next = BlockRules.getNextChange([
+            ...(blocklist.domains || []),
+            ...(blocklist.keywords || [])
+        ]);
+
+        if (next)
+        {
+            chrome.alarms.create('schedule', { when: next });
+        } else
+        {
+            chrome.alarms.clear('schedule');
+        }
+    }
+
+    /**
+     * Clear all blocking rules
+     */
+    async clearBlockingRules()
+    {
+        try
+        {
+            const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+            const ruleIds = existingRules.map(rule => rule.id);
+
+            if (ruleIds.length > 0)
+            {
+                await chrome.declarativeNetRequest.updateDynamicRules({
+                    removeRuleIds: ruleIds
+                });
+            }
+
+            await chrome.storage.local.remove(CONFIG.CACHE.STORAGE_KEYS.RULE_IDS);
+
+            this.logger.info('Cleared all blocking rules');
+        } catch (error)
+        {
+            this.logger.error('Failed to clear blocking rules:', error);
+        }
+    }
+
+    /**
+     * Get the cached blocklist, fetching it only if nothing is cached yet
+     */
+    async getBlocklist()
+    {
+        const cached = await this.getCachedBlocklist();
+        if (cached)
+        {
+            return { success: true, data: cached };
+        }
+
+        return await this.supabaseClient.getUserBlocklist();
+    }
+
+    /**
+     * Read the blocklist cached by the Supabase client
+     */
+    async getCachedBlocklist()
+    {
+        const key = CONFIG.CACHE.STORAGE_KEYS.BLOCKLIST;
+        const result = await chrome.storage.local.get(key);
+        return result[key] || null;
+    }
+
+    /**
+     * Get the blocklist with the current focus session's rules merged in
+     * Without a blocklist (signed out, not synced yet) the session's rules still apply
+     */
+    async getEffectiveBlocklist(blocklist)
+    {
+        blocklist = blocklist || { domains: [], keywords: [], exceptions: [] };
+
+        // Entries with time or visits left today do not block yet
+        const usage = await this.getDailyUsage();
+        const hasAllowanceLeft = (entry) =>
+        {
+            const normalized = BlockRules.normalizeEntry(entry);
+            return BlockRules.hasDailyLimit(normalized) && !BlockRules.isDailyLimitReached(normalized, usage);
+        };
+
+        if ((blocklist.domains || []).some(hasAllowanceLeft))
+        {
+            blocklist = { ...blocklist, domains: blocklist.domains.filter(entry => !hasAllowanceLeft(entry)) };
+        }
+
+        const session = await this.getFocusSession();
+        if (session?.phase !== 'work') return blocklist;
+
+        const merge = (entries, extra) => [
+            ...(entries || []),
+            ...(extra || []).filter(entry => !BlockRules.hasValue(entries, BlockRules.getValue(entry)))
+        ];
+
+        return {
+            ...blocklist,
+            domains: merge(blocklist.domains, session.domains),
+            keywords: merge(blocklist.keywords, session.keywords)
+        };
+    }
+
+    /**
+     * Get the effective blocklist as a message response
+     */
+    async getEffectiveBlocklistResult()
+    {
+        const result = await this.getBlocklist();
+        return { success: true, data: await this.getEffectiveBlocklist(result.success ? result.data : null) };
+    }
+
+    /**
+     * Get the URL matcher, building it from the cached blocklist if needed
+     */
+    async getMatcher()
+    {
+        if (!this.matcher)
+        {
+            let blocklist = await this.getEffectiveBlocklist(await this.getCachedBlocklist());
+
+            // Exceptions left without an allow rule are still redirected by the block rule
+            const budgetKey = CONFIG.CACHE.STORAGE_KEYS.RULE_BUDGET;
+            const { [budgetKey]: budget } = await chrome.storage.local.get(budgetKey);
+            const dropped = budget?.droppedExceptions || [];
+            if (dropped.length > 0)
+            {
+                blocklist = {
+                    ...blocklist,
+                    exceptions: (blocklist.exceptions || []).filter(entry => !dropped.includes(BlockRules.getValue(entry)))
+                };
+            }
+
+            const categories = await this.getCategoryLists((await this.getSettings()).blockCategories);
+            this.matcher = new UrlMatcher(blocklist, categories);
+        }
+
+        return this.matcher;
+    }
+
+    /**
+     * Get the domains of the blocked categories from their bundled rulesets
+     * Loaded once per worker; the lists only change with the extension
+     */
+    async getCategoryLists(categories = [])
+    {
+        const lists = [];
+
+        for (const id of categories)
+        {
+            const name = CONFIG.BLOCKING.CATEGORIES[id];
+            if (!name) continue;
+
+            if (!this.categoryDomains[id])
+            {
+                try
+                {
+                    const response = await fetch(chrome.runtime.getURL(`rules/${id}.json`));
+                    const rules = await response.json();
+                    this.categoryDomains[id] = rules.flatMap(rule => rule.condition.requestDomains || []);
+                } catch (error)
+                {
+                    this.logger.error(`Failed to load category ${id}:`, error);
+                    continue;
+                }
+            }
+
+            lists.push({ id, name, domains: this.categoryDomains[id] });
+        }
+
+        return lists;
+    }
+
+    /**
+     * Check if URL is blocked
+     * Uses the compiled matcher only, so navigation never waits on the network
+     */
+    async checkUrlBlocked(url)
+    {
+        try
+        {
+            const matcher = await this.getMatcher();
+            if (!matcher) return null;
+
+            const urlObj = new URL(url);
+            const domain = Domains.normalizeHost(urlObj.hostname);
+
+            // Temporary unblocks override every other rule
+            if (await this.isTempUnblocked(urlObj.hostname))
+            {
+                return null;
+            }
+
+            // Exceptions outrank every block rule, like their DNR allow rules
+            if (matcher.isException(urlObj))
+            {
+                return null;
+            }
+
+            // Whitelist mode blocks every web page that is not allowlisted
+            const settings = await this.getSettings();
+            if (settings.whitelistMode && /^https?:$/.test(urlObj.protocol))
+            {
+                if (!matcher.isAllowed(urlObj))
+                {
+                    return {
+                        blocked: true,
+                        type: 'whitelist',
+                        source: domain,
+                        reason: `"${domain}" is not in your allowlist`
+                    };
+                }
+
+                return null;
+            }
+
+            // Check domain, path, wildcard and regex rules
+            const entry = matcher.matchUrlRule(urlObj);
+            if (entry?.redirectUrl)
+            {
+                return {
+                    blocked: true,
+                    type: 'redirect',
+                    source: entry.value,
+                    reason: BlockRules.describeRule(entry),
+                    redirectUrl: entry.redirectUrl
+                };
+            }
+
+            if (entry?.challenge)
+            {
+                return {
+                    blocked: true,
+                    type: 'soft_block',
+                    source: entry.value,
+                    reason: BlockRules.describeRule(entry),
+                    challenge: entry.challenge
+                };
+            }
+
+            if (BlockRules.hasDailyLimit(entry))
+            {
+                return {
+                    blocked: true,
+                    type: entry.allowance ? 'allowance' : 'visit_limit',
+                    source: entry.value,
+                    reason: BlockRules.describeRule(entry)
+                };
+            }
+
+            if (entry)
+            {
+                const isDomain = BlockRules.getRuleType(entry) === 'domain';
+                return {
+                    blocked: true,
+                    type: 'domain',
+                    source: entry.value,
+                    reason: isDomain
+                        ? `The domain "${domain}" is blocked`
+                        : `The URL matches blocked rule "${entry.value}"`
+                };
+            }
+
+            // Bundled category lists, which the user's own rules outrank
+            const category = matcher.matchCategory(urlObj);
+            if (category)
+            {
+                return {
+                    blocked: true,
+                    type: 'category',
+                    source: category.id,
+                    reason: `Category blocked: ${category.name}`
+                };
+            }
+
+            // Check keywords
+            const keyword = matcher.matchKeyword(url);
+            if (keyword)
+            {
+                return {
+                    blocked: true,
+                    type: 'keyword',
+                    source: keyword.value,
+                    reason: `URL contains blocked keyword: "${keyword.value}"`
+                };
+            }
+
+            return null;
+        } catch (error)
+        {
+            this.logger.error('Error checking URL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Log block event
+     */
+    async logBlockEvent(payload)
+    {
+        try
+        {
+            // Determine block type
+            let blockType = 'domain';
+            if (payload.blockType)
+            {
+                blockType = payload.blockType;
+            } else if (payload.reason?.includes('keyword'))
+            {
+                blockType = 'keyword';
+            } else if (payload.reason?.includes('GitHub'))
+            {
+                blockType = 'github_list';
+            }
+
+            const eventData = {
+                url: payload.url,
+                blockType,
+                blockSource: payload.blockSource || payload.reason
+            };
+
+            return await this.supabaseClient.logBlockEvent(eventData);
+        } catch (error)
+        {
+            this.logger.error('Log block event error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Setup alarms for periodic tasks
+     */
+    setupAlarms()
+    {
+        // Create sync alarm
+        chrome.alarms.create('sync', {
+            periodInMinutes: CONFIG.SYNC.INTERVAL / 60000
+        });
+
+        // Reset daily allowances at local midnight
+        chrome.alarms.create('day-reset', { when: BlockRules.getNextMidnight() });
+
+        // Handle alarms
+        chrome.alarms.onAlarm.addListener(async (alarm) =>
+        {
+            this.logger.log('Alarm triggered:', alarm.name);
+
+            switch (alarm.name)
+            {
+                case 'sync':
+                    await this.performSync();
+                    break;
+
+                case 'schedule':
+                    await this.reapplyBlockingRules();
+                    break;
+
+                case 'strict-mode':
+                    await this.endStrictMode();
+                    break;
+
+                case 'focus-phase':
+                    await this.advanceFocusPhase();
+                    break;
+
+                case 'focus-tick':
+                    await this.updateFocusBadge();
+                    break;
+
+                case 'usage-tick':
+                case 'allowance-limit':
+                    await this.updateUsageTracking();
+                    break;
+
+                case 'day-reset':
+                    await this.resetDailyUsage();
+                    break;
+
+                default:
+                    if (alarm.name.startsWith('temp-unblock:'))
+                    {
+                        await this.endTempUnblock(alarm.name.slice('temp-unblock:'.length));
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Re-apply blocking rules from the current blocklist
+     */
+    async reapplyBlockingRules()
+    {
+        try
+        {
+            // Focus session rules are applied even without a blocklist
+            const blocklistResult = await this.getBlocklist();
+            await this.applyBlockingRules(blocklistResult.success ? blocklistResult.data : null);
+        } catch (error)
+        {
+            this.logger.error('Failed to re-apply blocking rules:', error);
+        }
+    }
+
+    /**
+     * Enable the static rulesets of the blocked categories and disable the rest
+     * Category rules have block priority, so allowlist, exception and temporary unblock rules still win
+     */
+    async applyCategoryRulesets(categories = [])
+    {
+        try
+        {
+            const ids = Object.keys(CONFIG.BLOCKING.CATEGORIES);
+            const enabled = new Set(await chrome.declarativeNetRequest.getEnabledRulesets());
+
+            const enableRulesetIds = ids
+                .filter(id => categories.includes(id) && !enabled.has(`category_${id}`))
+                .map(id => `category_${id}`);
+            const disableRulesetIds = ids
+                .filter(id => !categories.includes(id) && enabled.has(`category_${id}`))
+                .map(id => `category_${id}`);
+
+            if (enableRulesetIds.length > 0 || disableRulesetIds.length > 0)
+            {
+                await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds, disableRulesetIds });
+            }
+        } catch (error)
+        {
+            this.logger.error('Failed to update category rulesets:', error);
+        }
+    }
+
+    /**
+     * Perform sync
+     */
+    async performSync()
+    {
+        try
+        {
+            const session = await this.supabaseClient.getSession();
+            if (!session) return;
+
+            // Sync blocklist; the refreshed cache rebuilds the matcher
+            const blocklistResult = await this.supabaseClient.getUserBlocklist();
+            if (blocklistResult.success)
+            {
+                await this.applyBlockingRules(blocklistResult.data);
+            }
+
+            this.logger.info('Sync completed');
+        } catch (error)
+        {
+            this.logger.error('Sync error:', error);
+        }
+    }
+
+    /**
+     * Setup storage listeners
+     */
+    setupStorageListeners()
+    {
+        chrome.storage.onChanged.addListener((changes, areaName) =>
+        {
+            if (areaName !== 'local') return;
+
+            // Rebuilt lazily so focus session rules are merged in and dropped exceptions left out
+            if (changes[CONFIG.CACHE.STORAGE_KEYS.BLOCKLIST] || changes[CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION] ||
+                changes[CONFIG.CACHE.STORAGE_KEYS.RULE_BUDGET])
+            {
+                this.matcher = null;
+            }
+        });
+    }
+
+    /**
+     * Setup web navigation listeners
+     */
+    setupNavigationListeners()
+    {
+        chrome.webNavigation.onBeforeNavigate.addListener(async (details) =>
+        {
+            if (details.frameId !== 0) return; // Only check main frame
+
+            // A visit past the daily limit is stopped before the page loads
+            await this.checkVisitLimit(details);
+            await this.blockNavigation(details);
+        });
+
+        // Single-page apps change pages with the History API, which no request rule sees
+        chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) =>
+        {
+            if (details.frameId !== 0) return; // Only check main frame
+
+            if (await this.blockNavigation(details)) return;
+
+            // Keywords are checked against the page, so the top frame's content script checks again
+            chrome.tabs.sendMessage(details.tabId, { type: 'CHECK_PAGE' }, { frameId: 0 }).catch(() =>
+            {
+                // Ignore tabs without a content script
+            });
+        });
+
+        // Count visits for daily visit limits; queued with the other daily usage updates
+        chrome.webNavigation.onCommitted.addListener((details) =>
+        {
+            if (details.frameId !== 0) return; // Only count main frame
+
+            this.usageQueue = this.usageQueue
+                .then(() => this.recordVisit(details))
+                .catch(error => this.logger.error('Visit counting error:', error));
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId) =>
+        {
+            this.usageQueue = this.usageQueue
+                .then(async () =>
+                {
+                    const tabsKey = CONFIG.CACHE.STORAGE_KEYS.VISIT_TABS;
+                    const { [tabsKey]: visitTabs } = await chrome.storage.session.get(tabsKey);
+                    if (visitTabs?.[tabId])
+                    {
+                        delete visitTabs[tabId];
+                        await chrome.storage.session.set({ [tabsKey]: visitTabs });
+                    }
+                })
+                .catch(error => this.logger.error('Visit tab cleanup error:', error));
+        });
+    }
+
+    /**
+     * Setup context menus
+     */
+    setupContextMenus()
+    {
+        chrome.runtime.onInstalled.addListener(() =>
+        {
+            // Add context menu for blocking current site
+            chrome.contextMenus.create({
+                id: 'block-site',
+                title: 'Block this site with Fokus',
+                contexts: ['page']
+            });
+
+            // Add context menu for blocking the current path only
+            chrome.contextMenus.create({
+                id: 'block-path',
+                title: 'Block this page path with Fokus',
+                contexts: ['page']
+            });
+
+            // Add context menu for blocking the current site section by wildcard
+            chrome.contextMenus.create({
+                id: 'block-section',
+                title: 'Block this site section with Fokus',
+                contexts: ['page']
+            });
+
+            // Add context menu for blocking a link target
+            chrome.contextMenus.create({
+                id: 'block-link',
+                title: 'Block this link with Fokus',
+                contexts: ['link']
+            });
+
+            // Add context menu for blocking selected text as keyword
+            chrome.contextMenus.create({
+                id: 'block-keyword',
+                title: 'Block "%s" as keyword',
+                contexts: ['selection']
+            });
+
+            // Add context menu for blocking URLs matching the selected text as a regex
+            chrome.contextMenus.create({
+                id: 'block-regex',
+                title: 'Block URLs matching /%s/',
+                contexts: ['selection']
+            });
+        });
+
+        // Handle context menu clicks
+        chrome.contextMenus.onClicked.addListener(async (info, tab) =>
+        {
+            switch (info.menuItemId)
+            {
+                case 'block-site':
+                {
+                    // Block the whole site, e.g. facebook.com from m.facebook.com
+                    const hostname = new URL(tab.url).hostname;
+                    const domain = Domains.getRegistrableDomain(hostname) || Domains.normalizeHost(hostname);
+                    const result = await this.addDomain(domain);
+                    if (result.success)
+                    {
+                        this.sendNotification('Site Blocked', `${domain} has been added to your blocklist`);
+                    }
+                    break;
+                }
+
+                case 'block-path':
+                case 'block-section':
+                case 'block-link':
+                {
+                    const target = new URL(info.menuItemId === 'block-link' ? info.linkUrl : tab.url);
+                    const host = Domains.normalizeHost(target.hostname);
+                    const section = target.pathname.split('/').filter(Boolean)[0];
+
+                    let [ruleType, value] = ['path', host + target.pathname];
+                    if (info.menuItemId === 'block-section')
+                    {
+                        [ruleType, value] = ['wildcard', section ? `${host}/${section}/*` : `${host}/*`];
+                    } else if (target.pathname === '/')
+                    {
+                        [ruleType, value] = ['domain', host];
+                    }
+
+                    const ruleResult = await this.addRule(ruleType, value);
+                    if (ruleResult.success)
+                    {
+                        this.sendNotification('Rule Added', `${value} has been added to your blocklist`);
+                    }
+                    break;
                 }
+
+                case 'block-regex':
+                    if (info.selectionText)
+                    {
+                        const regexResult = await this.addRule('regex', info.selectionText.trim());
+                        if (regexResult.success)
+                        {
+                            this.sendNotification('Rule Added', `/${info.selectionText.trim()}/ has been added to your blocklist`);
+                        }
+                    }
+                    break;
+
+                case 'block-keyword':
+                    if (info.selectionText)
+                    {
+                        const keywordResult = await this.addKeyword(info.selectionText.toLowerCase());
+                        if (keywordResult.success)
+                        {
+                            this.sendNotification('Keyword Blocked', `"${info.selectionText}" has been added to your blocklist`);
+                        }
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Setup extension lifecycle events
+     */
+    setupLifecycleEvents()
+    {
+        chrome.runtime.onInstalled.addListener(async (details) =>
+        {
+            if (details.reason === 'install')
+            {
+                // Open welcome page on first install
+                chrome.tabs.create({
+                    url: 'https://fokus.app/welcome'
+                });
+            }
+        });
+    }
+
+    /**
+     * Get settings
+     */
+    async getSettings()
+    {
+        const storage = chrome.storage.local;
+        const result = await storage.get(CONFIG.CACHE.STORAGE_KEYS.SETTINGS);
+        return {
+            notifications: true,
+            soundEnabled: false,
+            strictMode: false,
+            strictModeLockMinutes: CONFIG.BLOCKING.STRICT_MODE.DEFAULT_LOCK_MINUTES,
+            strictModeLockedUntil: null,
+            whitelistMode: false,
+            customBlockPage: false,
+            syncEnabled: true,
+            cosmeticFilters: [],
+            customCosmeticFilters: [],
+            customSearchEngines: [],
+            blockCategories: [],
+            safeSearch: false,
+            contentScan: false, // opt in: it blocks pages the other checks let through
+            contentScanThreshold: CONFIG.CONTENT_SCAN.DEFAULT_THRESHOLD,
+            redaction: 'off',
+            ...result[CONFIG.CACHE.STORAGE_KEYS.SETTINGS]
+        };
+    }
+
+    /**
+     * Update settings
+     */
+    async updateSettings(updates)
+    {
+        const current = await this.getSettings();
+
+        // The lock end is derived from the lock period, never set directly, and custom
+        // cosmetic filters and search engines are only changed through their own messages
+        const { strictModeLockedUntil, customCosmeticFilters, customSearchEngines, ...allowedUpdates } = updates;
+        const updated = { ...current, ...allowedUpdates };
+
+        if (Array.isArray(allowedUpdates.cosmeticFilters))
+        {
+            const builtIn = CosmeticFilters.BUILT_IN.map(filter => filter.id);
+            updated.cosmeticFilters = allowedUpdates.cosmeticFilters.filter(id => builtIn.includes(id));
+        }
+
+        if (Array.isArray(allowedUpdates.blockCategories))
+        {
+            updated.blockCategories = allowedUpdates.blockCategories.filter(id => id in CONFIG.BLOCKING.CATEGORIES);
+        }
+
+        if (!FeedRedaction.STYLES.includes(updated.redaction))
+        {
+            updated.redaction = 'off';
+        }
+
+        updated.contentScanThreshold = Math.min(
+            Math.max(Number(updated.contentScanThreshold) || CONFIG.CONTENT_SCAN.DEFAULT_THRESHOLD, 1),
+            CONFIG.CONTENT_SCAN.MAX_THRESHOLD
+        );
+
+        updated.strictModeLockMinutes = Math.min(
+            Math.max(Number(updated.strictModeLockMinutes) || CONFIG.BLOCKING.STRICT_MODE.DEFAULT_LOCK_MINUTES, 1),
+            CONFIG.BLOCKING.STRICT_MODE.MAX_LOCK_MINUTES
+        );
+
+        if (allowedUpdates.strictMode === true && !(await this.getStrictLock()))
+        {
+            // Turning strict mode on starts a new lock period
+            updated.strictModeLockedUntil = Date.now() + updated.strictModeLockMinutes * 60 * 1000;
+            chrome.alarms.create('strict-mode', { when: updated.strictModeLockedUntil });
+        } else if (!updated.strictMode)
+        {
+            updated.strictModeLockedUntil = null;
+            chrome.alarms.clear('strict-mode');
+        }
+
+        const storage = chrome.storage.local;
+        await storage.set({ [CONFIG.CACHE.STORAGE_KEYS.SETTINGS]: updated });
+
+        if (updated.whitelistMode !== current.whitelistMode || updated.safeSearch !== current.safeSearch)
+        {
+            await this.reapplyBlockingRules();
+        }
+
+        if (JSON.stringify(updated.cosmeticFilters) !== JSON.stringify(current.cosmeticFilters))
+        {
+            this.notifyCosmeticFiltersChanged();
+        }
+
+        if (JSON.stringify(updated.blockCategories) !== JSON.stringify(current.blockCategories))
+        {
+            this.matcher = null;
+            await this.applyCategoryRulesets(updated.blockCategories);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Get the cosmetic filters for a site, for the content script
+     */
+    async getCosmeticFilters(hostname)
+    {
+        const settings = await this.getSettings();
+        return { success: true, data: CosmeticFilters.getFiltersForHost(hostname || '', settings) };
+    }
+
+    /**
+     * Add a user-defined selector that hides elements on a site
+     */
+    async addCosmeticFilter(domain, selector)
+    {
+        try
+        {
+            domain = Domains.normalize(domain);
+            selector = String(selector || '').trim();
+
+            if (!CosmeticFilters.isSafeSelector(selector))
+            {
+                throw new Error('Invalid selector');
+            }
+
+            const settings = await this.getSettings();
+            const filters = settings.customCosmeticFilters;
+
+            if (filters.some(filter => filter.domain === domain && filter.selector === selector))
+            {
+                return { success: true, message: 'Filter already exists' };
+            }
+
+            if (filters.length >= CONFIG.COSMETIC.MAX_CUSTOM_FILTERS)
+            {
+                throw new Error(`You can add up to ${CONFIG.COSMETIC.MAX_CUSTOM_FILTERS} filters`);
+            }
+
+            await this.saveCustomCosmeticFilters(settings, [...filters, { domain, selector }]);
+            return { success: true, data: { domain, selector } };
+        } catch (error)
+        {
+            this.logger.error('Add cosmetic filter error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a user-defined cosmetic filter
+     */
+    async removeCosmeticFilter(domain, selector)
+    {
+        try
+        {
+            const settings = await this.getSettings();
+            const filters = settings.customCosmeticFilters
+                .filter(filter => filter.domain !== domain || filter.selector !== selector);
+
+            await this.saveCustomCosmeticFilters(settings, filters);
+            return { success: true };
+        } catch (error)
+        {
+            this.logger.error('Remove cosmetic filter error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Store the custom cosmetic filters and tell open pages
+     */
+    async saveCustomCosmeticFilters(settings, filters)
+    {
+        await chrome.storage.local.set({
+            [CONFIG.CACHE.STORAGE_KEYS.SETTINGS]: { ...settings, customCosmeticFilters: filters }
+        });
+
+        this.notifyCosmeticFiltersChanged();
+    }
+
+    /**
+     * Get the full-page scan settings and limits, for the content script
+     */
+    async getContentScanSettings()
+    {
+        const settings = await this.getSettings();
+        const { MIN_WORDS, TIME_BUDGET_MS, SLICE_MS, CHUNK_CHARS, OVERLAP_CHARS } = CONFIG.CONTENT_SCAN;
+
+        return {
+            success: true,
+            data: {
+                enabled: settings.contentScan,
+                threshold: settings.contentScanThreshold,
+                minWords: MIN_WORDS,
+                timeBudgetMs: TIME_BUDGET_MS,
+                sliceMs: SLICE_MS,
+                chunkChars: CHUNK_CHARS,
+                overlapChars: OVERLAP_CHARS
+            }
+        };
+    }
+
+    /**
+     * Get how posts are redacted on a site, for the content script
+     * Null when redaction is off or the site has no post selectors
+     */
+    async getRedaction(hostname)
+    {
+        const settings = await this.getSettings();
+        const selectors = FeedRedaction.getSelectors(hostname || '');
+
+        return {
+            success: true,
+            data: settings.redaction !== 'off' && selectors ? { style: settings.redaction, selectors } : null
+        };
+    }
+
+    /**
+     * Record that a redacted post was shown anyway
+     * Refused in strict mode like other overrides
+     */
+    async logRedactionOverride(payload)
+    {
+        await this.logBlockEvent({
+            url: payload.url,
+            blockType: 'redaction_override',
+            blockSource: payload.keyword
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * Get the search adapter for a site, for the content script
+     */
+    async getSearchAdapter(hostname)
+    {
+        const settings = await this.getSettings();
+        return { success: true, data: SearchEngines.getAdapter(hostname || '', settings) };
+    }
+
+    /**
+     * Add a user-defined search adapter; an adapter for the same domain is replaced
+     */
+    async addSearchEngine(options)
+    {
+        try
+        {
+            const domain = Domains.normalize(options.domain);
+            const queryParam = String(options.queryParam || '').trim();
+            const selectors = (value) => String(value || '').split(',').map(selector => selector.trim()).filter(Boolean);
+            const resultSelectors = selectors(options.resultSelectors);
+            const autocompleteSelectors = selectors(options.autocompleteSelectors);
+
+            if (!/^[\w.-]+$/.test(queryParam))
+            {
+                throw new Error('Invalid query parameter');
+            }
+
+            if (![...resultSelectors, ...autocompleteSelectors].every(CosmeticFilters.isSafeSelector))
+            {
+                throw new Error('Invalid selector');
             }
 
-            // Clear existing rules and add new ones
-            const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-            const ruleIds = existingRules.map(rule => rule.id);
+            const settings = await this.getSettings();
+            const engines = settings.customSearchEngines.filter(engine => engine.domains[0] !== domain);
+
+            if (engines.length >= CONFIG.SEARCH.MAX_CUSTOM_ENGINES)
+            {
+                throw new Error(`You can add up to ${CONFIG.SEARCH.MAX_CUSTOM_ENGINES} search engines`);
+            }
+
+            const engine = {
+                id: 'custom',
+                name: domain,
+                domains: [domain],
+                queryParams: [queryParam],
+                resultSelectors,
+                autocompleteSelectors
+            };
 
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                removeRuleIds: ruleIds,
-                addRules: rules
+            await chrome.storage.local.set({
+                [CONFIG.CACHE.STORAGE_KEYS.SETTINGS]: { ...settings, customSearchEngines: [...engines, engine] }
             });
+            return { success: true, data: engine };
+        } catch (error)
+        {
+            this.logger.error('Add search engine error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove the user-defined search adapter of a domain
+     */
+    async removeSearchEngine(domain)
+    {
+        try
+        {
+            const settings = await this.getSettings();
+            const engines = settings.customSearchEngines.filter(engine => engine.domains[0] !== domain);
 
-            this.logger.info(`Applied ${rules.length} blocking rules`);
+            await chrome.storage.local.set({
+                [CONFIG.CACHE.STORAGE_KEYS.SETTINGS]: { ...settings, customSearchEngines: engines }
+            });
+            return { success: true };
+        } catch (error)
+        {
+            this.logger.error('Remove search engine error:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            // Notify content scripts about blocklist update
-            chrome.tabs.query({}, (tabs) =>
+    /**
+     * Tell content scripts to reload their cosmetic filters
+     */
+    notifyCosmeticFiltersChanged()
+    {
+        chrome.tabs.query({}, (tabs) =>
+        {
+            tabs.forEach(tab =>
             {
-                tabs.forEach(tab =>
+                chrome.tabs.sendMessage(tab.id, { type: 'COSMETIC_FILTERS_UPDATED' }).catch(() =>
                 {
-                    chrome.tabs.sendMessage(tab.id, {
-                        type: 'BLOCKLIST_UPDATED',
-                        payload: blocklist
-                    }).catch(() =>
-                    {
-                        // Ignore errors for tabs that don't have content script
-                    });
+                    // Ignore errors for tabs that don't have content script
                 });
             });
+        });
+    }
+
+    /**
+     * Get the stored focus session
+     */
+    async getFocusSession()
+    {
+        const key = CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION;
+        const result = await chrome.storage.local.get(key);
+        return result[key] || null;
+    }
+
+    /**
+     * Start a focus session of work/break cycles
+     * The session's extra domains and keywords are only blocked during work phases
+     */
+    async startFocusSession(payload = {})
+    {
+        try
+        {
+            const clamp = (value, fallback) =>
+                Math.min(Math.max(Number(value) || fallback, 1), CONFIG.FOCUS.MAX_MINUTES);
+
+            const domains = [];
+            for (const input of payload.domains || [])
+            {
+                const type = BlockRules.detectRuleType(input);
+                const value = BlockRules.normalizeRuleValue(type, input);
+                domains.push(type === 'domain' ? value : { type, value });
+            }
+
+            const keywords = (payload.keywords || [])
+                .map(keyword => String(keyword).trim().toLowerCase())
+                .filter(Boolean);
+
+            const session = {
+                phase: 'work',
+                cycle: 1,
+                cycles: Math.min(Math.max(Math.floor(Number(payload.cycles)) || CONFIG.FOCUS.CYCLES, 1),
+                    CONFIG.FOCUS.MAX_CYCLES),
+                workMinutes: clamp(payload.workMinutes, CONFIG.FOCUS.WORK_MINUTES),
+                breakMinutes: clamp(payload.breakMinutes, CONFIG.FOCUS.BREAK_MINUTES),
+                domains,
+                keywords,
+                startedAt: Date.now()
+            };
+            session.phaseEndsAt = session.startedAt + session.workMinutes * 60 * 1000;
+
+            await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION]: session });
+            await this.onFocusPhaseChanged(session);
+
+            return await this.getFocusStatus();
+        } catch (error)
+        {
+            this.logger.error('Start focus session error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stop the running focus session
+     */
+    async stopFocusSession()
+    {
+        await chrome.storage.local.remove(CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION);
+        await this.onFocusPhaseChanged(null);
+        return { success: true, data: null };
+    }
+
+    /**
+     * Move the focus session to its next phase
+     */
+    async advanceFocusPhase()
+    {
+        const session = await this.getFocusSession();
+        if (!session) return;
+
+        if (session.phase === 'work')
+        {
+            session.phase = 'break';
+            session.phaseEndsAt = Date.now() + session.breakMinutes * 60 * 1000;
+        } else if (session.cycle < session.cycles)
+        {
+            session.phase = 'work';
+            session.cycle++;
+            session.phaseEndsAt = Date.now() + session.workMinutes * 60 * 1000;
+        } else
+        {
+            await chrome.storage.local.remove(CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION);
+            await this.onFocusPhaseChanged(null);
+            return;
+        }
+
+        await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.FOCUS_SESSION]: session });
+        await this.onFocusPhaseChanged(session);
+    }
+
+    /**
+     * Re-apply rules, alarms, badge and notifications after a phase change
+     */
+    async onFocusPhaseChanged(session)
+    {
+        this.matcher = null;
+
+        if (session)
+        {
+            chrome.alarms.create('focus-phase', { when: session.phaseEndsAt });
+            chrome.alarms.create('focus-tick', { periodInMinutes: 1 });
+        } else
+        {
+            chrome.alarms.clear('focus-phase');
+            chrome.alarms.clear('focus-tick');
+        }
+
+        await this.reapplyBlockingRules();
+        await this.updateFocusBadge();
+
+        const settings = await this.getSettings();
+        if (!settings.notifications) return;
+
+        if (!session)
+        {
+            this.sendNotification('Focus Session Complete', 'Great work! Your focus session has ended.');
+        } else if (session.phase === 'work')
+        {
+            this.sendNotification('Focus Time', `Cycle ${session.cycle} of ${session.cycles}: ` +
+                `${session.workMinutes} minutes of focus. Distractions are blocked.`);
+        } else
+        {
+            this.sendNotification('Break Time', `Take a ${session.breakMinutes}-minute break.`);
+        }
+    }
+
+    /**
+     * Catch up on a focus session after a service worker or browser restart
+     */
+    async resumeFocusSession()
+    {
+        const session = await this.getFocusSession();
+        if (!session) return;
+
+        if (session.phaseEndsAt <= Date.now())
+        {
+            await this.advanceFocusPhase();
+            return;
+        }
+
+        const alarm = await chrome.alarms.get('focus-phase');
+        if (!alarm)
+        {
+            chrome.alarms.create('focus-phase', { when: session.phaseEndsAt });
+            chrome.alarms.create('focus-tick', { periodInMinutes: 1 });
+        }
+
+        await this.updateFocusBadge();
+    }
+
+    /**
+     * Get the focus session with its remaining time
+     */
+    async getFocusStatus()
+    {
+        const session = await this.getFocusSession();
+        if (!session) return { success: true, data: null };
+
+        return {
+            success: true,
+            data: {
+                ...session,
+                remainingMs: Math.max(session.phaseEndsAt - Date.now(), 0)
+            }
+        };
+    }
+
+    /**
+     * Show the remaining focus phase time in the toolbar badge
+     */
+    async updateFocusBadge()
+    {
+        const session = await this.getFocusSession();
+        if (!session)
+        {
+            const authSession = await this.supabaseClient.getSession();
+            this.updateBadge(authSession ? 'ON' : '', authSession ? '#10B981' : '#666666');
+            return;
+        }
+
+        const minutes = Math.max(Math.ceil((session.phaseEndsAt - Date.now()) / 60000), 0);
+        this.updateBadge(
+            `${minutes}m`,
+            session.phase === 'work' ? CONFIG.FOCUS.BADGE_COLORS.WORK : CONFIG.FOCUS.BADGE_COLORS.BREAK
+        );
+    }
+
+    /**
+     * Turn strict mode off once its lock period has ended
+     */
+    async endStrictMode()
+    {
+        if (await this.getStrictLock()) return;
+
+        const settings = await this.getSettings();
+        if (!settings.strictMode) return;
+
+        await this.updateSettings({ strictMode: false });
+
+        if (settings.notifications)
+        {
+            this.sendNotification('Strict Mode Ended', 'Your blocklist can be edited again.');
+        }
+    }
+
+    /**
+     * Get random motivational quote
+     */
+    getRandomQuote()
+    {
+        const quotes = MOTIVATIONAL_QUOTES || [
+            {
+                text: "The secret of getting ahead is getting started.",
+                author: "Mark Twain"
+            }
+        ];
+        return quotes[Math.floor(Math.random() * quotes.length)];
+    }
+
+    /**
+     * Redirect a main frame navigation if its URL is blocked
+     * Returns whether it was blocked
+     */
+    async blockNavigation(details)
+    {
+        const isBlocked = await this.checkUrlBlocked(details.url);
+        if (!isBlocked) return false;
+
+        // Log the block event
+        await this.logBlockEvent({
+            url: details.url,
+            blockType: isBlocked.type,
+            blockSource: isBlocked.source,
+            reason: isBlocked.reason
+        });
+
+        // Redirect to the rule's destination or the blocked page
+        chrome.tabs.update(details.tabId, {
+            url: await this.getBlockTarget(details.url, isBlocked)
+        });
+        return true;
+    }
+
+    /**
+     * Handle block page request
+     */
+    async handleBlockPage(payload, sender)
+    {
+        const currentTab = sender?.tab
+            ? [sender.tab]
+            : await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!currentTab[0]) return { success: true };
+
+        // Keyword blocks from the page give way to a temporary unblock, like the DNR allow rule does
+        const pageUrl = currentTab[0].url || payload.url;
+        if (/^https?:/.test(pageUrl) && await this.isTempUnblocked(new URL(pageUrl).hostname))
+        {
+            return { success: true, data: { unblocked: true } };
+        }
+
+        // Redirect destinations come from the blocklist, never from the page
+        const result = payload.blockType === 'redirect' ? await this.checkUrlBlocked(payload.url) : null;
+        if (result?.redirectUrl)
+        {
+            await this.logBlockEvent({
+                url: payload.url,
+                blockType: result.type,
+                blockSource: result.source,
+                reason: result.reason
+            });
+        }
+
+        chrome.tabs.update(currentTab[0].id, {
+            url: await this.getBlockTarget(payload.url, result || payload)
+        });
+        return { success: true };
+    }
+
+    /**
+     * Get the URL a blocked navigation goes to: a redirect rule's destination or the blocked page
+     * A destination that is blocked as well falls back to the blocked page
+     */
+    async getBlockTarget(url, result)
+    {
+        if (result.redirectUrl && !(await this.checkUrlBlocked(result.redirectUrl)))
+        {
+            return result.redirectUrl;
+        }
+
+        const type = result.type || result.blockType;
+        return chrome.runtime.getURL('blocked.html') +
+            `?url=${encodeURIComponent(url)}&reason=${encodeURIComponent(result.reason)}` +
+            (type ? `&type=${encodeURIComponent(type)}` : '');
+    }
+
+    /**
+     * Handle temporary unblock
+     * Adds a high-priority session allow rule for the domain until an alarm expires it
+     */
+    async handleTempUnblock(payload)
+    {
+        try
+        {
+            // Soft-blocked sites only open through their challenge
+            const result = await this.checkUrlBlocked(payload.url);
+            if (result?.type === 'soft_block')
+            {
+                throw new Error('Complete the challenge to open this site');
+            }
+
+            return { success: true, data: await this.unblockTemporarily(payload.url, payload.duration) };
+        } catch (error)
+        {
+            this.logger.error('Temporary unblock error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Allow a site for a while with a session allow rule that an alarm removes
+     */
+    async unblockTemporarily(url, requestedDuration)
+    {
+        const urlObj = new URL(url);
+        if (!/^https?:$/.test(urlObj.protocol))
+        {
+            throw new Error('Only web pages can be unblocked');
+        }
+
+        const domain = Domains.normalizeHost(urlObj.hostname);
+        const duration = Math.min(
+            Math.max(Number(requestedDuration) || CONFIG.BLOCKING.TEMP_UNBLOCK.DEFAULT_DURATION,
+                CONFIG.BLOCKING.TEMP_UNBLOCK.MIN_DURATION),
+            CONFIG.BLOCKING.TEMP_UNBLOCK.MAX_DURATION
+        );
+        const expiresAt = Date.now() + duration;
+
+        const unblocks = await this.getTempUnblocks();
+        const existing = unblocks[domain];
+        const ruleId = existing?.ruleId || await this.getNextSessionRuleId();
+
+        await chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: existing ? [existing.ruleId] : [],
+            addRules: [{
+                id: ruleId,
+                priority: CONFIG.BLOCKING.RULE_PRIORITY.TEMP_UNBLOCK,
+                action: { type: 'allow' },
+                condition: {
+                    urlFilter: `||${domain}^`,
+                    resourceTypes: ['main_frame']
+                }
+            }]
+        });
+
+        unblocks[domain] = { ruleId, expiresAt };
+        await chrome.storage.session.set({ [CONFIG.CACHE.STORAGE_KEYS.TEMP_UNBLOCKS]: unblocks });
+        chrome.alarms.create(`temp-unblock:${domain}`, { when: expiresAt });
+
+        // Record the unblock so it shows up in stats
+        await this.logBlockEvent({
+            url,
+            blockType: 'temp_unblock',
+            blockSource: domain
+        });
+
+        this.logger.info(`Temporarily unblocked ${domain} until ${new Date(expiresAt).toISOString()}`);
+        return { domain, expiresAt };
+    }
+
+    /**
+     * Get the open soft-block challenges
+     */
+    async getChallenges()
+    {
+        const key = CONFIG.CACHE.STORAGE_KEYS.CHALLENGES;
+        const result = await chrome.storage.session.get(key);
+        const now = Date.now();
+
+        return Object.fromEntries(Object.entries(result[key] || {})
+            .filter(([, challenge]) => challenge.expiresAt > now));
+    }
+
+    /**
+     * Start the challenge of a soft-blocked page
+     * The requirement is kept here; the block page only gets what it needs to show
+     */
+    async startChallenge(url)
+    {
+        try
+        {
+            const result = await this.checkUrlBlocked(url);
+            if (result?.type !== 'soft_block')
+            {
+                throw new Error('This page has no challenge');
+            }
+
+            // A completed challenge unblocks the site, which strict mode refuses
+            const lockedUntil = await this.getStrictLock();
+            if (lockedUntil)
+            {
+                throw new Error(`Strict mode is locked until ${new Date(lockedUntil).toLocaleString()}`);
+            }
+
+            const config = CONFIG.BLOCKING.SOFT_BLOCK;
+            const usage = await this.getDailyUsage();
+            const uses = usage.unlocks[result.source] || 0;
+            const level = Math.min(uses + 1, config.MAX_LEVEL);
+
+            const challenge = {
+                id: crypto.randomUUID(),
+                url,
+                value: result.source,
+                type: result.challenge,
+                level,
+                startedAt: Date.now(),
+                expiresAt: Date.now() + config.CHALLENGE_TTL
+            };
+
+            if (challenge.type === 'countdown')
+            {
+                challenge.seconds = config.COUNTDOWN_SECONDS * level;
+            } else if (challenge.type === 'phrase')
+            {
+                const words = BackgroundService.CHALLENGE_WORDS;
+                challenge.phrase = Array.from({ length: config.PHRASE_WORDS * level },
+                    () => words[Math.floor(Math.random() * words.length)]).join(' ');
+            } else
+            {
+                challenge.minLength = config.INTENTION_CHARS * level;
+            }
+
+            const challenges = await this.getChallenges();
+            challenges[challenge.id] = challenge;
+            await chrome.storage.session.set({ [CONFIG.CACHE.STORAGE_KEYS.CHALLENGES]: challenges });
+
+            return {
+                success: true,
+                data: {
+                    id: challenge.id,
+                    type: challenge.type,
+                    level,
+                    uses,
+                    seconds: challenge.seconds,
+                    phrase: challenge.phrase,
+                    minLength: challenge.minLength,
+                    unlockMinutes: config.UNLOCK_DURATION / 60000
+                }
+            };
+        } catch (error)
+        {
+            this.logger.error('Start challenge error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check a challenge response and, when it passes, open the site for a while
+     */
+    async completeChallenge(id, response)
+    {
+        try
+        {
+            const challenges = await this.getChallenges();
+            const challenge = challenges[id];
+            if (!challenge)
+            {
+                throw new Error('The challenge expired, reload the page to start again');
+            }
+
+            const answer = String(response || '');
+            switch (challenge.type)
+            {
+                case 'countdown':
+                    if (Date.now() - challenge.startedAt < challenge.seconds * 1000)
+                    {
+                        throw new Error('The countdown is not over yet');
+                    }
+                    break;
+
+                case 'phrase':
+                    if (answer !== challenge.phrase)
+                    {
+                        throw new Error('The phrase does not match');
+                    }
+                    break;
+
+                default:
+                    if (answer.trim().length < challenge.minLength)
+                    {
+                        throw new Error(`Please write at least ${challenge.minLength} characters`);
+                    }
+            }
+
+            delete challenges[id];
+            await chrome.storage.session.set({ [CONFIG.CACHE.STORAGE_KEYS.CHALLENGES]: challenges });
+
+            // Counted with the other daily usage so the next challenge is harder
+            this.usageQueue = this.usageQueue
+                .then(async () =>
+                {
+                    const usage = await this.getDailyUsage();
+                    usage.unlocks[challenge.value] = (usage.unlocks[challenge.value] || 0) + 1;
+                    await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.DAILY_USAGE]: usage });
+                })
+                .catch(error => this.logger.error('Unlock counting error:', error));
+            await this.usageQueue;
+
+            const unblock = await this.unblockTemporarily(challenge.url, CONFIG.BLOCKING.SOFT_BLOCK.UNLOCK_DURATION);
+            return { success: true, data: unblock };
         } catch (error)
         {
-            this.logger.error('Failed to apply blocking rules:', error);
+            this.logger.error('Complete challenge error:', error);
+            return { success: false, error: error.message };
         }
     }
 
     /**
-     * Clear all blocking rules
+     * End a temporary unblock and restore blocking on open tabs
      */
-    async clearBlockingRules()
+    async endTempUnblock(domain)
     {
         try
         {
-            const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-            const ruleIds = existingRules.map(rule => rule.id);
+            const unblocks = await this.getTempUnblocks();
+            const unblock = unblocks[domain];
 
-            if (ruleIds.length > 0)
+            if (unblock)
             {
-                await chrome.declarativeNetRequest.updateDynamicRules({
-                    removeRuleIds: ruleIds
+                await chrome.declarativeNetRequest.updateSessionRules({
+                    removeRuleIds: [unblock.ruleId]
                 });
+
+                delete unblocks[domain];
+                await chrome.storage.session.set({ [CONFIG.CACHE.STORAGE_KEYS.TEMP_UNBLOCKS]: unblocks });
             }
 
-            this.logger.info('Cleared all blocking rules');
+            this.logger.info(`Temporary unblock for ${domain} ended`);
+
+            // Re-check tabs still open on the domain
+            await this.recheckOpenTabs(url => BlockRules.matchesUrlPattern(domain, url));
         } catch (error)
         {
-            this.logger.error('Failed to clear blocking rules:', error);
+            this.logger.error('Failed to end temporary unblock:', error);
         }
     }
 
     /**
-     * Check if URL is blocked
+     * Send open tabs that are now blocked to the block page or their redirect destination
+     * Rule changes only apply to new navigations, so already loaded pages are checked here
      */
-    async checkUrlBlocked(url)
+    async recheckOpenTabs(filter)
     {
-        try
+        const tabs = await chrome.tabs.query({});
+        for (const tab of tabs)
         {
-            const blocklistResult = await this.supabaseClient.getUserBlocklist();
-            if (!blocklistResult.success) return null;
+            if (!tab.url || !filter(tab.url)) continue;
 
-            const blocklist = blocklistResult.data;
+            // Same as a new navigation: logged, and sent to a redirect rule's destination
+            await this.blockNavigation({ url: tab.url, tabId: tab.id });
+        }
+    }
 
-            const urlObj = new URL(url);
-            const domain = urlObj.hostname.replace(/^www\./, '').toLowerCase();
+    /**
+     * Setup listeners that track time spent on the active tab
+     * Time only counts while the browser window is focused and the user is not idle
+     */
+    setupUsageListeners()
+    {
+        chrome.idle.setDetectionInterval(CONFIG.BLOCKING.ALLOWANCE.IDLE_DETECTION_SECONDS);
 
-            // Check domain blocking
-            if (blocklist.domains.includes(domain))
-            {
-                return {
-                    blocked: true,
-                    type: 'domain',
-                    source: domain,
-                    reason: `The domain "${domain}" is blocked`
-                };
-            }
+        chrome.tabs.onActivated.addListener(() => this.updateUsageTracking());
 
-            // Check keywords
-            const urlLower = url.toLowerCase();
-            for (const keyword of blocklist.keywords)
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) =>
+        {
+            if (changeInfo.url && tab.active)
             {
-                if (urlLower.includes(keyword.toLowerCase()))
-                {
-                    return {
-                        blocked: true,
-                        type: 'keyword',
-                        source: keyword,
-                        reason: `URL contains blocked keyword: "${keyword}"`
-                    };
-                }
+                this.updateUsageTracking();
             }
+        });
 
-            return null;
-        } catch (error)
-        {
-            this.logger.error('Error checking URL:', error);
-            return null;
-        }
+        chrome.windows.onFocusChanged.addListener(() => this.updateUsageTracking());
+
+        chrome.idle.onStateChanged.addListener(() => this.updateUsageTracking());
+
+        // Flush tracked time regularly so little is lost if the browser closes
+        chrome.alarms.create('usage-tick', { periodInMinutes: 1 });
+
+        // Pick up the active tab after a restart
+        this.updateUsageTracking();
     }
 
     /**
-     * Log block event
+     * Get today's usage, starting a new day when the stored one is stale
      */
-    async logBlockEvent(payload)
+    async getDailyUsage()
     {
-        try
-        {
-            // Determine block type
-            let blockType = 'domain';
-            if (payload.blockType)
-            {
-                blockType = payload.blockType;
-            } else if (payload.reason?.includes('keyword'))
-            {
-                blockType = 'keyword';
-            } else if (payload.reason?.includes('GitHub'))
-            {
-                blockType = 'github_list';
-            }
+        const key = CONFIG.CACHE.STORAGE_KEYS.DAILY_USAGE;
+        const result = await chrome.storage.local.get(key);
+        const day = BlockRules.getDayKey();
 
-            const eventData = {
-                url: payload.url,
-                blockType,
-                blockSource: payload.blockSource || payload.reason
-            };
+        const usage = result[key]?.day === day ? result[key] : { day };
 
-            return await this.supabaseClient.logBlockEvent(eventData);
-        } catch (error)
-        {
-            this.logger.error('Log block event error:', error);
-            return { success: false, error: error.message };
-        }
+        return { seconds: {}, visits: {}, unlocks: {}, ...usage };
     }
 
     /**
-     * Setup alarms for periodic tasks
+     * Update active-tab time tracking
+     * Calls are queued so overlapping tab and window events do not count time twice
      */
-    setupAlarms()
+    updateUsageTracking()
     {
-        // Create sync alarm
-        chrome.alarms.create('sync', {
-            periodInMinutes: CONFIG.SYNC.INTERVAL / 60000
-        });
+        this.usageQueue = this.usageQueue
+            .then(() => this.trackActiveTab())
+            .catch(error => this.logger.error('Usage tracking error:', error));
 
-        // Handle alarms
-        chrome.alarms.onAlarm.addListener(async (alarm) =>
-        {
-            this.logger.log('Alarm triggered:', alarm.name);
-
-            switch (alarm.name)
-            {
-                case 'sync':
-                    await this.performSync();
-                    break;
-            }
-        });
+        return this.usageQueue;
     }
 
     /**
-     * Perform sync
+     * Count the time since the last update, then start tracking the current active tab
      */
-    async performSync()
+    async trackActiveTab()
     {
-        try
+        const trackingKey = CONFIG.CACHE.STORAGE_KEYS.USAGE_TRACKING;
+        const { [trackingKey]: tracking } = await chrome.storage.session.get(trackingKey);
+        const now = Date.now();
+        let exhausted = null;
+
+        if (tracking)
         {
-            const session = await this.supabaseClient.getSession();
-            if (!session) return;
+            const usage = await this.getDailyUsage();
 
-            // Sync blocklist
-            await this.supabaseClient.getUserBlocklist();
+            // Time from before midnight belongs to the previous day
+            const startOfDay = new Date(now).setHours(0, 0, 0, 0);
+            const since = tracking.day === usage.day ? tracking.since : Math.max(tracking.since, startOfDay);
 
-            this.logger.info('Sync completed');
-        } catch (error)
+            const before = usage.seconds[tracking.value] || 0;
+            const after = before + Math.max(Math.round((now - since) / 1000), 0);
+            usage.seconds[tracking.value] = after;
+
+            await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.DAILY_USAGE]: usage });
+
+            const limit = tracking.allowance * 60;
+            if (before < limit && after >= limit)
+            {
+                exhausted = tracking.value;
+            }
+        }
+
+        const entry = await this.getActiveAllowanceEntry();
+        if (entry)
         {
-            this.logger.error('Sync error:', error);
+            const usage = await this.getDailyUsage();
+            const remaining = entry.allowance * 60 - (usage.seconds[entry.value] || 0);
+
+            await chrome.storage.session.set({
+                [trackingKey]: { value: entry.value, allowance: entry.allowance, day: usage.day, since: now }
+            });
+
+            // Fire exactly when the allowance runs out
+            if (remaining > 0)
+            {
+                chrome.alarms.create('allowance-limit', { when: now + remaining * 1000 });
+            }
+        } else
+        {
+            await chrome.storage.session.remove(trackingKey);
+            chrome.alarms.clear('allowance-limit');
+        }
+
+        if (exhausted)
+        {
+            await this.onDailyLimitReached(exhausted, `Your time on ${exhausted} is up for today.`);
         }
     }
 
     /**
-     * Setup web navigation listeners
+     * Get the allowance entry matching the active tab, if the user is active in a focused window
      */
-    setupNavigationListeners()
+    async getActiveAllowanceEntry()
     {
-        chrome.webNavigation.onBeforeNavigate.addListener(async (details) =>
-        {
-            if (details.frameId !== 0) return; // Only check main frame
+        const state = await chrome.idle.queryState(CONFIG.BLOCKING.ALLOWANCE.IDLE_DETECTION_SECONDS);
+        if (state !== 'active') return null;
 
-            const isBlocked = await this.checkUrlBlocked(details.url);
+        const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+        if (!focusedWindow?.focused) return null;
 
-            if (isBlocked)
-            {
-                // Log the block event
-                await this.logBlockEvent({
-                    url: details.url,
-                    blockType: isBlocked.type,
-                    blockSource: isBlocked.source,
-                    reason: isBlocked.reason
-                });
+        const [tab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+        if (!tab?.url || !/^https?:/.test(tab.url)) return null;
 
-                // Redirect to blocked page
-                chrome.tabs.update(details.tabId, {
-                    url: chrome.runtime.getURL('blocked.html') +
-                        `?url=${encodeURIComponent(details.url)}` +
-                        `&reason=${encodeURIComponent(isBlocked.reason)}`
-                });
-            }
-        });
+        const blocklist = await this.getCachedBlocklist();
+        return BlockRules.getActiveEntries(blocklist?.domains)
+            .find(entry => entry.allowance > 0 && BlockRules.matchesRule(entry, tab.url)) || null;
     }
 
     /**
-     * Setup context menus
+     * Count a main-frame commit as a visit to an entry with a visit limit
+     * Reloads and navigation within the same entry are part of the current visit
      */
-    setupContextMenus()
+    async recordVisit({ tabId, url, transitionType })
     {
-        chrome.runtime.onInstalled.addListener(() =>
+        const tabsKey = CONFIG.CACHE.STORAGE_KEYS.VISIT_TABS;
+        const { [tabsKey]: visitTabs = {} } = await chrome.storage.session.get(tabsKey);
+
+        const blocklist = /^https?:/.test(url) ? await this.getCachedBlocklist() : null;
+        const entry = BlockRules.getActiveEntries(blocklist?.domains)
+            .find(candidate => candidate.visitLimit > 0 && BlockRules.matchesRule(candidate, url));
+
+        const previous = visitTabs[tabId];
+        if (entry)
         {
-            // Add context menu for blocking current site
-            chrome.contextMenus.create({
-                id: 'block-site',
-                title: 'Block this site with Fokus',
-                contexts: ['page']
-            });
+            visitTabs[tabId] = entry.value;
+        } else
+        {
+            delete visitTabs[tabId];
+        }
+        await chrome.storage.session.set({ [tabsKey]: visitTabs });
 
-            // Add context menu for blocking selected text as keyword
-            chrome.contextMenus.create({
-                id: 'block-keyword',
-                title: 'Block "%s" as keyword',
-                contexts: ['selection']
-            });
-        });
+        if (!entry || previous === entry.value || transitionType === 'reload') return;
 
-        // Handle context menu clicks
-        chrome.contextMenus.onClicked.addListener(async (info, tab) =>
+        const usage = await this.getDailyUsage();
+        usage.visits[entry.value] = (usage.visits[entry.value] || 0) + 1;
+        await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.DAILY_USAGE]: usage });
+
+        // Normally stopped by checkVisitLimit; this catches a visit that loaded before the check ran
+        if (usage.visits[entry.value] === entry.visitLimit + 1)
         {
-            switch (info.menuItemId)
+            await this.onDailyLimitReached(entry.value,
+                `You have used all ${entry.visitLimit} visits to ${entry.value} for today.`);
+        }
+    }
+
+    /**
+     * Start blocking an entry before a new visit past its visit limit loads
+     * Visits are counted on commit; the one after the last allowed visit is counted
+     * here instead, which makes the block rules and the matcher block the entry
+     */
+    async checkVisitLimit({ tabId, url })
+    {
+        if (!/^https?:/.test(url)) return;
+
+        this.usageQueue = this.usageQueue
+            .then(async () =>
             {
-                case 'block-site':
-                    const url = new URL(tab.url);
-                    const result = await this.addDomain(url.hostname);
-                    if (result.success)
-                    {
-                        this.sendNotification('Site Blocked', `${url.hostname} has been added to your blocklist`);
-                    }
-                    break;
+                const blocklist = await this.getCachedBlocklist();
+                const entry = BlockRules.getActiveEntries(blocklist?.domains)
+                    .find(candidate => candidate.visitLimit > 0 && BlockRules.matchesRule(candidate, url));
+                if (!entry) return;
 
-                case 'block-keyword':
-                    if (info.selectionText)
-                    {
-                        const keywordResult = await this.addKeyword(info.selectionText.toLowerCase());
-                        if (keywordResult.success)
-                        {
-                            this.sendNotification('Keyword Blocked', `"${info.selectionText}" has been added to your blocklist`);
-                        }
-                    }
-                    break;
-            }
-        });
+                // Navigating within the current visit is allowed
+                const tabsKey = CONFIG.CACHE.STORAGE_KEYS.VISIT_TABS;
+                const { [tabsKey]: visitTabs = {} } = await chrome.storage.session.get(tabsKey);
+                if (visitTabs[tabId] === entry.value) return;
+
+                const usage = await this.getDailyUsage();
+                if ((usage.visits[entry.value] || 0) !== entry.visitLimit) return;
+
+                usage.visits[entry.value] = entry.visitLimit + 1;
+                await chrome.storage.local.set({ [CONFIG.CACHE.STORAGE_KEYS.DAILY_USAGE]: usage });
+
+                await this.onDailyLimitReached(entry.value,
+                    `You have used all ${entry.visitLimit} visits to ${entry.value} for today.`);
+            })
+            .catch(error => this.logger.error('Visit limit check error:', error));
+
+        await this.usageQueue;
     }
 
     /**
-     * Setup extension lifecycle events
+     * Start blocking an entry whose daily allowance or visit limit has run out
      */
-    setupLifecycleEvents()
+    async onDailyLimitReached(value, message)
     {
-        chrome.runtime.onInstalled.addListener(async (details) =>
+        this.logger.info(`Daily limit for ${value} reached`);
+
+        this.matcher = null;
+        await this.reapplyBlockingRules();
+
+        const settings = await this.getSettings();
+        if (settings.notifications)
         {
-            if (details.reason === 'install')
-            {
-                // Open welcome page on first install
-                chrome.tabs.create({
-                    url: 'https://fokus.app/welcome'
-                });
-            }
-        });
+            this.sendNotification('Daily Limit Reached', message);
+        }
+
+        // Only tabs open on the entry are sent away
+        const blocklist = await this.getCachedBlocklist();
+        const entry = BlockRules.getActiveEntries(blocklist?.domains).find(candidate => candidate.value === value);
+        if (entry)
+        {
+            await this.recheckOpenTabs(url => /^https?:/.test(url) && BlockRules.matchesRule(entry, url));
+        }
     }
 
     /**
-     * Get settings
+     * Start a new day of allowances
      */
-    async getSettings()
+    async resetDailyUsage()
     {
-        const storage = chrome.storage.local;
-        const result = await storage.get(CONFIG.CACHE.STORAGE_KEYS.SETTINGS);
-        return result[CONFIG.CACHE.STORAGE_KEYS.SETTINGS] || {
-            notifications: true,
-            soundEnabled: false,
-            strictMode: false,
-            whitelistMode: false,
-            customBlockPage: false,
-            syncEnabled: true
-        };
+        // Yesterday's totals are replaced by the first update of the new day
+        this.matcher = null;
+        await this.reapplyBlockingRules();
+        await this.updateUsageTracking();
+
+        chrome.alarms.create('day-reset', { when: BlockRules.getNextMidnight() });
     }
 
     /**
-     * Update settings
+     * Get the remaining time and visits of every entry with a daily limit, or of the entry matching a URL
      */
-    async updateSettings(updates)
+    async getAllowanceStatus(url)
     {
-        const current = await this.getSettings();
-        const updated = { ...current, ...updates };
-        const storage = chrome.storage.local;
-        await storage.set({ [CONFIG.CACHE.STORAGE_KEYS.SETTINGS]: updated });
-        return updated;
+        // Include the time spent since the last update
+        await this.updateUsageTracking();
+
+        const blocklist = await this.getCachedBlocklist();
+        const usage = await this.getDailyUsage();
+
+        const statuses = BlockRules.getActiveEntries(blocklist?.domains)
+            .filter(entry => BlockRules.hasDailyLimit(entry) && (!url || BlockRules.matchesRule(entry, url)))
+            .map(entry =>
+            {
+                const status = { value: entry.value, limitReached: BlockRules.isDailyLimitReached(entry, usage) };
+
+                if (entry.allowance > 0)
+                {
+                    status.allowance = entry.allowance;
+                    status.usedSeconds = Math.min(usage.seconds[entry.value] || 0, entry.allowance * 60);
+                    status.remainingSeconds = entry.allowance * 60 - status.usedSeconds;
+                }
+
+                if (entry.visitLimit > 0)
+                {
+                    status.visitLimit = entry.visitLimit;
+                    status.visits = Math.min(usage.visits[entry.value] || 0, entry.visitLimit);
+                    status.remainingVisits = entry.visitLimit - status.visits;
+                }
+
+                return status;
+            });
+
+        return { success: true, data: statuses };
     }
 
     /**
-     * Get random motivational quote
+     * Get active temporary unblocks keyed by domain
      */
-    getRandomQuote()
+    async getTempUnblocks()
     {
-        const quotes = MOTIVATIONAL_QUOTES || [
-            {
-                text: "The secret of getting ahead is getting started.",
-                author: "Mark Twain"
-            }
-        ];
-        return quotes[Math.floor(Math.random() * quotes.length)];
+        const key = CONFIG.CACHE.STORAGE_KEYS.TEMP_UNBLOCKS;
+        const result = await chrome.storage.session.get(key);
+        return result[key] || {};
     }
 
     /**
-     * Handle block page request
+     * Check if a hostname is covered by an unexpired temporary unblock
      */
-    async handleBlockPage(payload)
+    async isTempUnblocked(hostname)
     {
-        const currentTab = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (currentTab[0])
-        {
-            chrome.tabs.update(currentTab[0].id, {
-                url: chrome.runtime.getURL('blocked.html') +
-                    `?url=${encodeURIComponent(payload.url)}&reason=${encodeURIComponent(payload.reason)}`
-            });
-        }
-        return { success: true };
+        const unblocks = await this.getTempUnblocks();
+        const now = Date.now();
+
+        return Object.entries(unblocks).some(([domain, unblock]) =>
+            unblock.expiresAt > now && BlockRules.matchesUrlPattern(domain, `https://${hostname}/`)
+        );
     }
 
     /**
-     * Handle temporary unblock
+     * Get the next free session rule ID
+     * Allocations are queued so overlapping unblocks never get the same ID
      */
-    async handleTempUnblock(payload)
+    getNextSessionRuleId()
     {
-        // Implement temporary unblock logic
-        this.logger.info('Temporary unblock requested:', payload);
-        // TODO: Implement temporary unblock functionality
-        return { success: true };
+        const next = this.sessionRuleIdQueue.then(async () =>
+        {
+            // The counter starts above the rules left from before the worker restarted
+            if (this.nextSessionRuleId === null)
+            {
+                const rules = await chrome.declarativeNetRequest.getSessionRules();
+                this.nextSessionRuleId = rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+            }
+
+            return this.nextSessionRuleId++;
+        });
+
+        this.sessionRuleIdQueue = next.catch(() => {});
+        return next;
     }
 
     /**
@@ -846,7 +3456,7 @@ class BackgroundService
     {
         chrome.notifications.create({
             type: 'basic',
-            iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
+            iconUrl: chrome.runtime.getURL('assets/icons/icon128.png'),
             title,
             message,
             ...options
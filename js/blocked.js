@@ -9,7 +9,10 @@ class BlockedPageController
     {
         this.blockedUrl = null;
         this.blockedReason = null;
+        this.blockType = null;
         this.breakTimer = null;
+        this.challenge = null;
+        this.challengeTimer = null;
         this.stats = {
             timeSaved: 0,
             sitesBlocked: 0,
@@ -37,6 +40,15 @@ class BlockedPageController
             // Load and display stats
             await this.loadStats();
 
+            // Show the running focus session, if any
+            await this.loadFocusStatus();
+
+            // Show the daily allowance that ran out, if any
+            await this.loadAllowanceStatus();
+
+            // Soft-blocked sites open after a challenge instead of a break
+            await this.loadChallenge();
+
             // Set up event listeners
             this.setupEventListeners();
 
@@ -59,6 +71,7 @@ class BlockedPageController
         const params = new URLSearchParams(window.location.search);
         this.blockedUrl = params.get('url') || 'Unknown site';
         this.blockedReason = params.get('reason') || 'This site is blocked';
+        this.blockType = params.get('type');
 
         // Decode URLs
         try
@@ -156,6 +169,173 @@ class BlockedPageController
         this.displayStats();
     }
 
+    /**
+     * Load the running focus session
+     */
+    async loadFocusStatus()
+    {
+        try
+        {
+            const session = await this.sendMessage('FOCUS_STATUS');
+            const element = document.getElementById('focus-status');
+            if (!session || session.phase !== 'work' || !element) return;
+
+            const minutes = Math.ceil(session.remainingMs / 60000);
+            element.textContent = `Focus session in progress: ${minutes} min until your break`;
+        } catch (error)
+        {
+            console.error('Failed to load focus status:', error);
+        }
+    }
+
+    /**
+     * Load the daily allowance and visit limit of the blocked site
+     */
+    async loadAllowanceStatus()
+    {
+        try
+        {
+            const [status] = await this.sendMessage('ALLOWANCE_STATUS', { url: this.blockedUrl });
+            const element = document.getElementById('allowance-status');
+            if (!status || !element) return;
+
+            const parts = [];
+            if (status.allowance)
+            {
+                parts.push(`${Math.round(status.usedSeconds / 60)} of ${status.allowance} minutes`);
+            }
+            if (status.visitLimit)
+            {
+                parts.push(`${status.visits} of ${status.visitLimit} visits`);
+            }
+
+            element.textContent = `Used today: ${parts.join(', ')}.` +
+                (status.limitReached ? ' Your limits reset at midnight.' : '');
+        } catch (error)
+        {
+            console.error('Failed to load allowance status:', error);
+        }
+    }
+
+    /**
+     * Start the challenge of a soft-blocked site
+     * The background keeps the requirement and grants access, so the page cannot skip it
+     */
+    async loadChallenge()
+    {
+        try
+        {
+            this.challenge = await this.sendMessage('CHALLENGE_START', { url: this.blockedUrl });
+        } catch (error)
+        {
+            // Not a soft block, unless strict mode refused the challenge
+            if (typeof error === 'string' && error.startsWith('Strict mode is locked'))
+            {
+                this.showChallengeLocked(error);
+            }
+            return;
+        }
+
+        // Breaks and emergency access would get around the challenge
+        document.getElementById('take-break-btn')?.setAttribute('hidden', '');
+        document.querySelector('.emergency-section')?.setAttribute('hidden', '');
+
+        this.renderChallenge();
+    }
+
+    /**
+     * Show why a soft-blocked site cannot be opened now
+     */
+    showChallengeLocked(message)
+    {
+        document.getElementById('take-break-btn')?.setAttribute('hidden', '');
+        document.querySelector('.emergency-section')?.setAttribute('hidden', '');
+
+        document.getElementById('challenge-section').hidden = false;
+        document.getElementById('challenge-prompt').textContent = message;
+        document.getElementById('challenge-submit').hidden = true;
+    }
+
+    /**
+     * Show the challenge
+     */
+    renderChallenge()
+    {
+        const { type, level, uses, seconds, phrase, minLength, unlockMinutes } = this.challenge;
+        const section = document.getElementById('challenge-section');
+        const prompt = document.getElementById('challenge-prompt');
+        const phraseElement = document.getElementById('challenge-phrase');
+        const input = document.getElementById('challenge-input');
+        const submit = document.getElementById('challenge-submit');
+
+        section.hidden = false;
+        document.getElementById('challenge-level').textContent = uses > 0
+            ? `Level ${level}: you have opened this site ${uses} time${uses === 1 ? '' : 's'} today, so this gets harder.`
+            : `Completing this opens the site for ${unlockMinutes} minutes.`;
+
+        if (type === 'countdown')
+        {
+            prompt.textContent = `Take a breath. You can continue in ${seconds} seconds.`;
+            submit.disabled = true;
+
+            let remaining = seconds;
+            const tick = () =>
+            {
+                submit.textContent = remaining > 0 ? `Continue in ${remaining}s` : 'Continue';
+                if (remaining <= 0)
+                {
+                    clearInterval(this.challengeTimer);
+                    submit.disabled = false;
+                }
+                remaining--;
+            };
+
+            tick();
+            this.challengeTimer = setInterval(tick, 1000);
+        } else if (type === 'phrase')
+        {
+            prompt.textContent = 'Type this phrase exactly to continue:';
+            phraseElement.textContent = phrase;
+            phraseElement.hidden = false;
+            input.hidden = false;
+            input.addEventListener('paste', (e) => e.preventDefault());
+        } else
+        {
+            prompt.textContent = 'What are you here for?';
+            input.placeholder = `At least ${minLength} characters`;
+            input.hidden = false;
+        }
+
+        submit.addEventListener('click', () => this.submitChallenge());
+    }
+
+    /**
+     * Send the challenge response and open the site when it passes
+     */
+    async submitChallenge()
+    {
+        const submit = document.getElementById('challenge-submit');
+        const error = document.getElementById('challenge-error');
+
+        try
+        {
+            submit.disabled = true;
+            error.textContent = '';
+
+            await this.sendMessage('CHALLENGE_COMPLETE', {
+                id: this.challenge.id,
+                response: document.getElementById('challenge-input').value
+            });
+
+            submit.textContent = 'Access granted';
+            window.location.href = this.blockedUrl;
+        } catch (message)
+        {
+            error.textContent = typeof message === 'string' ? message : 'Something went wrong, please try again';
+            submit.disabled = false;
+        }
+    }
+
     /**
      * Display statistics
      */
@@ -290,7 +470,7 @@ class BlockedPageController
     /**
      * Start break timer
      */
-    startBreak()
+    async startBreak()
     {
         const breakButton = document.getElementById('take-break-btn');
         if (!breakButton) return;
@@ -298,6 +478,21 @@ class BlockedPageController
         // Disable button
         breakButton.disabled = true;
 
+        // Allow access for 5 minutes; the background restores blocking afterwards
+        try
+        {
+            await this.sendMessage('TEMP_UNBLOCK', {
+                url: this.blockedUrl,
+                duration: 5 * 60 * 1000
+            });
+        } catch (error)
+        {
+            console.error('Failed to start break:', error);
+            breakButton.textContent = 'Break unavailable';
+            breakButton.disabled = false;
+            return;
+        }
+
         // Start 5-minute countdown
         let timeLeft = 5 * 60; // 5 minutes in seconds
 
@@ -323,12 +518,6 @@ class BlockedPageController
         updateTimer();
         this.breakTimer = setInterval(updateTimer, 1000);
 
-        // Allow access for 5 minutes
-        this.sendMessage('TEMP_UNBLOCK', {
-            url: this.blockedUrl,
-            duration: 5 * 60 * 1000
-        });
-
         // Redirect after brief delay
         setTimeout(() =>
         {
@@ -375,6 +564,13 @@ class BlockedPageController
             console.error('Failed to request temporary access:', error);
             button.textContent = 'Request failed';
             button.disabled = false;
+
+            // Explain refusals such as a locked strict mode
+            const warningText = document.querySelector('.warning-text');
+            if (warningText && typeof error === 'string')
+            {
+                warningText.textContent = error;
+            }
         }
     }
 
@@ -402,21 +598,14 @@ class BlockedPageController
      */
     async logBlockEvent()
     {
+        // A block rule's redirect without the URL is followed by the worker's redirect with it
+        if (this.blockedUrl === 'Unknown site') return;
+
         try
         {
-            // Extract block type from reason
-            let blockType = 'domain';
-            if (this.blockedReason.includes('keyword'))
-            {
-                blockType = 'keyword';
-            } else if (this.blockedReason.includes('GitHub'))
-            {
-                blockType = 'github_list';
-            }
-
             await this.sendMessage('LOG_BLOCK_EVENT', {
                 url: this.blockedUrl,
-                blockType,
+                blockType: this.blockType || this.getBlockTypeFromReason(),
                 blockSource: this.blockedReason
             });
         } catch (error)
@@ -425,6 +614,34 @@ class BlockedPageController
         }
     }
 
+    /**
+     * Extract the block type from the reason, for block page URLs without one
+     */
+    getBlockTypeFromReason()
+    {
+        if (this.blockedReason.includes('keyword'))
+        {
+            return 'keyword';
+        } else if (this.blockedReason.includes('GitHub'))
+        {
+            return 'github_list';
+        } else if (this.blockedReason.includes('allowlist'))
+        {
+            return 'whitelist';
+        } else if (this.blockedReason.includes('visit limit'))
+        {
+            return 'visit_limit';
+        } else if (this.blockedReason.includes('allowance') || this.blockedReason.includes('Daily limit'))
+        {
+            return 'allowance';
+        } else if (this.blockedReason.includes('Soft block'))
+        {
+            return 'soft_block';
+        }
+
+        return 'domain';
+    }
+
     /**
      * Send message to background script
      */
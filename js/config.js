@@ -85,10 +85,19 @@ const CONFIG = {
         TTL: 60 * 60 * 1000, // 1 hour
         STORAGE_KEYS: {
             USER: 'fokus_user',
-            BLOCKLIST: 'fokus_blocklist',
+            BLOCKLIST: 'fokus_blocklist', // merged from the enabled lists
+            BLOCKLISTS: 'fokus_blocklists',
             STATS: 'fokus_stats',
             SETTINGS: 'fokus_settings',
-            DEVICE: 'fokus_device'
+            DEVICE: 'fokus_device',
+            TEMP_UNBLOCKS: 'fokus_temp_unblocks', // chrome.storage.session
+            RULE_BUDGET: 'fokus_rule_budget',
+            RULE_IDS: 'fokus_rule_ids',
+            FOCUS_SESSION: 'fokus_focus_session',
+            DAILY_USAGE: 'fokus_daily_usage',
+            USAGE_TRACKING: 'fokus_usage_tracking', // chrome.storage.session
+            VISIT_TABS: 'fokus_visit_tabs', // chrome.storage.session
+            CHALLENGES: 'fokus_challenges' // chrome.storage.session
         }
     },
 
@@ -104,18 +113,103 @@ const CONFIG = {
     BLOCKING: {
         UPDATE_INTERVAL: 1000, // 1 second
         MAX_RULES: 30000, // Chrome's limit for declarativeNetRequest
-        SEARCH_ENGINES: [
-            'google.com',
-            'bing.com',
-            'yahoo.com',
-            'duckduckgo.com',
-            'baidu.com',
-            'yandex.com',
-            'ask.com',
-            'aol.com',
-            'ecosia.org',
-            'startpage.com'
-        ]
+        DOMAINS_PER_RULE: 1000, // Domains grouped into one requestDomains rule
+        RULE_PRIORITY: {
+            BLOCK: 1,
+            ALLOWLIST: 2,
+            EXCEPTION: 3,
+            TEMP_UNBLOCK: 100,
+            SAFE_SEARCH: 200 // above temporary unblocks, which must not switch it off; blocked hosts are left out
+        },
+        TEMP_UNBLOCK: {
+            MIN_DURATION: 60 * 1000, // 1 minute
+            DEFAULT_DURATION: 5 * 60 * 1000, // 5 minutes
+            MAX_DURATION: 60 * 60 * 1000 // 1 hour
+        },
+        // Soft blocks open after a challenge; each unlock in a day raises the level
+        SOFT_BLOCK: {
+            UNLOCK_DURATION: 10 * 60 * 1000, // 10 minutes
+            CHALLENGE_TTL: 30 * 60 * 1000, // 30 minutes to complete a challenge
+            MAX_LEVEL: 5,
+            COUNTDOWN_SECONDS: 60, // per level
+            PHRASE_WORDS: 6, // per level
+            INTENTION_CHARS: 20 // per level
+        },
+        ALLOWANCE: {
+            IDLE_DETECTION_SECONDS: 60,
+            MAX_MINUTES: 24 * 60,
+            MAX_VISITS: 1000
+        },
+        LISTS: {
+            DEFAULT_NAME: 'My Blocklist',
+            MAX_LISTS: 10,
+            MAX_NAME_LENGTH: 40
+        },
+        STRICT_MODE: {
+            DEFAULT_LOCK_MINUTES: 60,
+            MAX_LOCK_MINUTES: 7 * 24 * 60 // 1 week
+        },
+        // Bundled category lists, static rulesets "category_<id>" in manifest.json
+        CATEGORIES: {
+            social: 'Social',
+            video: 'Video',
+            gaming: 'Gaming',
+            shopping: 'Shopping',
+            adult: 'Adult'
+        },
+        // Forced SafeSearch: query parameters per search engine and YouTube's Restricted Mode header
+        SAFE_SEARCH: {
+            ENGINES: [
+                { urlFilter: '||google.*/search?', params: { safe: 'active' } },
+                { urlFilter: '||bing.com/search?', params: { adlt: 'strict' } },
+                { urlFilter: '||bing.com/images/search?', params: { adlt: 'strict' } },
+                { urlFilter: '||duckduckgo.com/?', params: { kp: '1' } },
+                { urlFilter: '||duckduckgo.com/html', params: { kp: '1' } }
+            ],
+            YOUTUBE_DOMAINS: [
+                'youtube.com',
+                'youtube-nocookie.com',
+                'youtubei.googleapis.com',
+                'youtube.googleapis.com'
+            ],
+            YOUTUBE_HEADER: { name: 'YouTube-Restrict', value: 'Strict' }
+        }
+    },
+
+    // Focus Sessions (Pomodoro)
+    FOCUS: {
+        WORK_MINUTES: 50,
+        BREAK_MINUTES: 10,
+        CYCLES: 4,
+        MAX_CYCLES: 12,
+        MAX_MINUTES: 4 * 60,
+        BADGE_COLORS: {
+            WORK: '#EF4444',
+            BREAK: '#10B981'
+        }
+    },
+
+    // Search engine adapters (see utils/searchEngines.js)
+    SEARCH: {
+        MAX_CUSTOM_ENGINES: 50
+    },
+
+    // Full-page keyword scan
+    // Score: occurrences plus occurrences per 1000 words of visible text
+    CONTENT_SCAN: {
+        DEFAULT_THRESHOLD: 10,
+        MAX_THRESHOLD: 1000,
+        MIN_WORDS: 200, // density is taken over at least this many words
+        TIME_BUDGET_MS: 100, // CPU time per page
+        SLICE_MS: 8, // work per idle callback
+        CHUNK_CHARS: 10000, // text counted at once
+        OVERLAP_CHARS: 300 // end of a chunk counted again with the next, for phrases across chunks
+    },
+
+    // Cosmetic Filters (hide page elements)
+    COSMETIC: {
+        MAX_SELECTOR_LENGTH: 500,
+        MAX_CUSTOM_FILTERS: 200
     },
 
     // Error Tracking
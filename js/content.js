@@ -1,6 +1,6 @@
 /**
  * Content Script
- * Runs on all web pages to check for keyword blocking
+ * Runs on all web pages to check for keyword blocking and apply cosmetic filters
  */
 
 class FokusContentScript
@@ -8,10 +8,31 @@ class FokusContentScript
     constructor()
     {
         this.blocklist = null;
+        this.searchAdapter = null;
         this.isActive = false;
         this.observer = null;
+        this.frameObserver = null;
         this.checkInterval = null;
         this.observerTimeout = null;
+        this.cosmeticFilters = [];
+        this.cosmeticStyle = null;
+        this.cosmeticPath = null;
+        this.cosmeticObserver = null;
+        this.titleObserver = null;
+        this.scanSettings = null;
+        this.contentScan = null;
+        this.contentObserver = null;
+        this.redaction = null;
+        this.redacted = new WeakMap();
+        this.revealed = new WeakSet();
+        this.redactionObserver = null;
+        this.redactionTimeout = null;
+        this.lastUrl = window.location.href;
+        this.lastTitle = null;
+        this.blockedUrl = null;
+
+        // Cosmetic filters go in before the page renders, everything else waits for the DOM
+        this.loadCosmeticFilters();
 
         // Wait for DOM to be ready before initializing
         if (document.readyState === 'loading')
@@ -41,6 +62,15 @@ class FokusContentScript
             // Load blocklist from storage
             await this.loadBlocklist();
 
+            // Find the search adapter for this site, if any
+            await this.loadSearchAdapter();
+
+            // Full-page scan settings
+            await this.loadContentScanSettings();
+
+            // Post selectors when feeds are redacted instead of blocked
+            await this.loadRedaction();
+
             // Check if current page should be blocked
             await this.checkCurrentPage();
 
@@ -50,6 +80,9 @@ class FokusContentScript
             // Listen for blocklist updates
             this.setupMessageListener();
 
+            // Check again after in-app navigations of single-page apps
+            this.setupNavigationListener();
+
             // Set up periodic checks for dynamic pages
             this.setupPeriodicCheck();
 
@@ -67,7 +100,7 @@ class FokusContentScript
     {
         try
         {
-            const response = await this.sendMessage('BLOCKLIST_GET');
+            const response = await this.sendMessage('BLOCKLIST_GET', { effective: true });
             if (response)
             {
                 this.blocklist = response;
@@ -80,6 +113,52 @@ class FokusContentScript
         }
     }
 
+    /**
+     * Load the search adapter for this site
+     */
+    async loadSearchAdapter()
+    {
+        try
+        {
+            this.searchAdapter = await this.sendMessage('SEARCH_ADAPTER_GET', {
+                hostname: window.location.hostname
+            });
+        } catch
+        {
+            this.searchAdapter = null;
+        }
+    }
+
+    /**
+     * Load the full-page scan settings
+     */
+    async loadContentScanSettings()
+    {
+        try
+        {
+            this.scanSettings = await this.sendMessage('CONTENT_SCAN_GET');
+        } catch
+        {
+            this.scanSettings = null;
+        }
+    }
+
+    /**
+     * Load how posts are redacted on this site
+     */
+    async loadRedaction()
+    {
+        try
+        {
+            this.redaction = await this.sendMessage('REDACTION_GET', {
+                hostname: window.location.hostname
+            });
+        } catch
+        {
+            this.redaction = null;
+        }
+    }
+
     /**
      * Check if current page should be blocked
      */
@@ -88,10 +167,29 @@ class FokusContentScript
         if (!this.isActive || !this.blocklist) return;
 
         const url = window.location.href;
-        const hostname = window.location.hostname;
+
+        // Check URL-level rules (domains, whitelist mode) with the background worker
+        if (window.top === window)
+        {
+            const urlCheck = await this.sendMessage('CHECK_URL_BLOCKED', { url }).catch(() => null);
+            if (urlCheck?.blocked)
+            {
+                this.blockPage(urlCheck.type, urlCheck.source, urlCheck.reason);
+                return;
+            }
+        }
+
+        // Embeds from blocked sites are replaced even on pages that are exceptions
+        this.checkFrames();
+
+        // Keywords are checked on the page itself, not in its ads and embeds
+        if (window.top !== window) return;
+
+        // Exceptions keep a page reachable, so its content is not checked either
+        if (this.isException(url)) return;
 
         // Check for keyword blocking in search engines
-        if (this.isSearchEngine(hostname))
+        if (this.isSearchPage())
         {
             this.checkSearchKeywords();
         }
@@ -101,152 +199,326 @@ class FokusContentScript
     }
 
     /**
-     * Check if site is a search engine
+     * Check if a URL matches one of the blocklist's exceptions
      */
-    isSearchEngine(hostname)
+    isException(url)
     {
-        const searchEngines = [
-            'google.com',
-            'bing.com',
-            'yahoo.com',
-            'duckduckgo.com',
-            'baidu.com',
-            'yandex.com',
-            'ask.com',
-            'aol.com',
-            'ecosia.org',
-            'startpage.com'
-        ];
-
-        return searchEngines.some(engine => hostname.includes(engine));
+        return BlockRules.getActiveEntries(this.blocklist?.exceptions)
+            .some(entry => BlockRules.matchesRule(entry, url));
     }
 
     /**
-     * Check search keywords
+     * Get active domain list entries that also block embedded frames
      */
-    checkSearchKeywords()
+    getFrameEntries()
     {
-        if (!this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
+        return BlockRules.getActiveEntries(this.blocklist?.domains)
+            .filter(entry => BlockRules.blocksFrames(entry));
+    }
 
-        const searchQuery = this.extractSearchQuery();
-        if (!searchQuery) return;
+    /**
+     * Replace iframes from frame-blocking entries with a placeholder
+     * The request itself is already blocked by a sub_frame rule; this only avoids a broken frame
+     */
+    checkFrames()
+    {
+        const entries = this.getFrameEntries();
+        if (entries.length === 0) return;
 
-        const lowercaseQuery = searchQuery.toLowerCase();
+        this.setupFrameObserver();
 
-        for (const keyword of this.blocklist.keywords)
+        for (const frame of document.querySelectorAll('iframe[src], frame[src]'))
         {
-            if (lowercaseQuery.includes(keyword.toLowerCase()))
+            if (!/^https?:/.test(frame.src) || this.isException(frame.src)) continue;
+
+            const entry = entries.find(candidate => BlockRules.matchesRule(candidate, frame.src));
+            if (entry)
             {
-                this.blockPage('keyword', keyword);
-                return;
+                this.replaceFrame(frame, entry);
             }
         }
+    }
 
-        // Also check search result links
-        this.checkSearchResults();
+    /**
+     * Replace a frame with a placeholder of the same size
+     */
+    replaceFrame(frame, entry)
+    {
+        const rect = frame.getBoundingClientRect();
+        const placeholder = document.createElement('div');
+        placeholder.className = 'fokus-blocked-frame';
+        placeholder.title = BlockRules.describeRule(entry);
+        placeholder.style.cssText = `
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            box-sizing: border-box;
+            width: ${rect.width ? `${rect.width}px` : '100%'};
+            height: ${rect.height ? `${rect.height}px` : '150px'};
+            max-width: 100%;
+            padding: 12px;
+            background: #F3F4F6;
+            border: 1px dashed #9CA3AF;
+            border-radius: 6px;
+            color: #4B5563;
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            text-align: center;
+        `;
+        placeholder.textContent = `Embedded content from ${new URL(frame.src).hostname} blocked by Fokus`;
+
+        frame.replaceWith(placeholder);
     }
 
     /**
-     * Extract search query from URL
+     * Watch for frames added after load (embeds are often inserted by scripts)
      */
-    extractSearchQuery()
+    setupFrameObserver()
+    {
+        if (this.frameObserver || !document.body) return;
+
+        this.frameObserver = new MutationObserver((mutations) =>
+        {
+            const isFrame = (node) => /^i?frame$/i.test(node.nodeName);
+            const hasFrame = mutations.some(mutation =>
+                (mutation.type === 'attributes' && isFrame(mutation.target)) ||
+                [...mutation.addedNodes].some(node =>
+                    node.nodeType === Node.ELEMENT_NODE &&
+                    (isFrame(node) || node.querySelector('iframe, frame'))));
+
+            if (hasFrame)
+            {
+                this.checkFrames();
+            }
+        });
+
+        this.frameObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['src']
+        });
+    }
+
+    /**
+     * Load the cosmetic filters for this site and apply them
+     */
+    async loadCosmeticFilters()
     {
-        const params = new URLSearchParams(window.location.search);
-        const queryParams = ['q', 'query', 'search', 'p', 's', 'text'];
+        try
+        {
+            this.cosmeticFilters = await this.sendMessage('COSMETIC_FILTERS_GET', {
+                hostname: window.location.hostname
+            }) || [];
+        } catch
+        {
+            this.cosmeticFilters = [];
+        }
 
-        for (const param of queryParams)
+        this.applyCosmeticFilters();
+    }
+
+    /**
+     * Hide the elements of the filters that apply to the current path
+     * Each selector gets its own rule, so one invalid selector does not void the others
+     */
+    applyCosmeticFilters()
+    {
+        this.cosmeticPath = window.location.pathname;
+        if (this.cosmeticFilters.length > 0)
         {
-            const value = params.get(param);
-            if (value) return value;
+            this.setupCosmeticObserver();
         }
 
-        // Special handling for Google
-        if (window.location.hostname.includes('google.'))
+        const css = this.cosmeticFilters
+            .filter(filter => CosmeticFilters.matchesPath(filter, this.cosmeticPath))
+            .flatMap(filter => filter.selectors)
+            .map(selector => `${selector} { display: none !important; }`)
+            .join('\n');
+
+        if (!css)
         {
-            const hashMatch = window.location.hash.match(/[?&]q=([^&]+)/);
-            if (hashMatch)
+            if (this.cosmeticStyle)
             {
-                return decodeURIComponent(hashMatch[1]);
+                this.cosmeticStyle.textContent = '';
+                this.cosmeticStyle.remove();
             }
+            return;
+        }
+
+        if (!this.cosmeticStyle)
+        {
+            this.cosmeticStyle = document.createElement('style');
+            this.cosmeticStyle.id = 'fokus-cosmetic-filters';
+        }
+
+        if (this.cosmeticStyle.textContent !== css)
+        {
+            this.cosmeticStyle.textContent = css;
         }
 
-        return null;
+        if (!this.cosmeticStyle.isConnected)
+        {
+            (document.head || document.documentElement).appendChild(this.cosmeticStyle);
+        }
     }
 
     /**
-     * Check search results for blocked keywords
+     * Re-apply cosmetic filters when the page removes the style element
+     * or navigates to another path without a reload (single-page apps)
      */
-    checkSearchResults()
+    setupCosmeticObserver()
     {
-        if (!this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
+        if (this.cosmeticObserver) return;
 
-        // Find search result links
-        const selectors = [
-            'a h3', // Google
-            '.b_algo h2 a', // Bing
-            '.algo-sr h3 a', // Yahoo
-            '.result__title a', // DuckDuckGo
-        ];
+        this.cosmeticObserver = new MutationObserver(() =>
+        {
+            const isDetached = this.cosmeticStyle?.textContent && !this.cosmeticStyle.isConnected;
+            if (isDetached || window.location.pathname !== this.cosmeticPath)
+            {
+                this.applyCosmeticFilters();
+            }
+        });
 
-        const results = document.querySelectorAll(selectors.join(', '));
+        this.cosmeticObserver.observe(document.documentElement, {
+            childList: true,
+            subtree: true
+        });
+    }
 
-        results.forEach(result =>
+    /**
+     * Check if the page is a search on a site with a search adapter
+     */
+    isSearchPage()
+    {
+        return Boolean(this.extractSearchQuery());
+    }
+
+    /**
+     * Check search keywords
+     */
+    checkSearchKeywords()
+    {
+        if (window.top !== window || !this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
+
+        const searchQuery = this.extractSearchQuery();
+        if (!searchQuery) return;
+
+        const keyword = KeywordMatcher.findMatch(this.getActiveKeywords(), searchQuery);
+        if (keyword)
         {
-            const text = result.textContent.toLowerCase();
-            const link = result.closest('a');
+            this.blockPage('keyword', keyword.value);
+            return;
+        }
+
+        // Also check search result links
+        this.checkSearchResults();
+    }
+
+    /**
+     * Get keyword entries whose schedule is currently active
+     */
+    getActiveKeywords()
+    {
+        return BlockRules.getActiveEntries(this.blocklist?.keywords);
+    }
 
-            for (const keyword of this.blocklist.keywords)
+    /**
+     * Extract search query from URL
+     */
+    extractSearchQuery()
+    {
+        return SearchEngines.extractQuery(this.searchAdapter, window.location.href);
+    }
+
+    /**
+     * Find elements for a list of selectors
+     * User-defined selectors may be invalid; those are skipped
+     */
+    querySelectorAll(selectors)
+    {
+        return (selectors || []).flatMap(selector =>
+        {
+            try
             {
-                if (text.includes(keyword.toLowerCase()))
-                {
-                    // Hide or mark the result
-                    this.hideSearchResult(link);
-                }
+                return [...document.querySelectorAll(selector)];
+            } catch
+            {
+                return [];
             }
         });
     }
 
     /**
-     * Hide search result
+     * Check search results and autocomplete suggestions for blocked keywords
      */
-    hideSearchResult(element)
+    checkSearchResults()
     {
-        const container = element.closest('.g, .b_algo, .algo-sr, .result');
-        if (container)
+        if (!this.searchAdapter || !this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
+
+        const keywords = this.getActiveKeywords();
+
+        // Result containers are only checked on search pages; sites such as YouTube
+        // reuse them elsewhere
+        if (this.isSearchPage())
         {
-            container.style.opacity = '0.3';
-            container.style.filter = 'blur(2px)';
-            container.style.pointerEvents = 'none';
-            container.style.position = 'relative';
+            for (const result of this.querySelectorAll(this.searchAdapter.resultSelectors))
+            {
+                const link = result.querySelector('a[href]');
+                if (link && this.isException(link.href)) continue;
 
-            // Check if overlay already exists
-            if (container.querySelector('.fokus-blocked-overlay'))
+                if (KeywordMatcher.findMatch(keywords, result.textContent))
+                {
+                    this.hideSearchResult(result);
+                }
+            }
+        }
+
+        for (const suggestion of this.querySelectorAll(this.searchAdapter.autocompleteSelectors))
+        {
+            if (KeywordMatcher.findMatch(keywords, suggestion.textContent))
             {
-                return;
+                suggestion.style.setProperty('display', 'none', 'important');
             }
+        }
+    }
 
-            // Add blocked overlay
-            const overlay = document.createElement('div');
-            overlay.className = 'fokus-blocked-overlay';
-            overlay.innerHTML = `
-                <div style="
-                    position: absolute;
-                    top: 50%;
-                    left: 50%;
-                    transform: translate(-50%, -50%);
-                    background: #EF4444;
-                    color: white;
-                    padding: 5px 10px;
-                    border-radius: 4px;
-                    font-size: 12px;
-                    font-weight: bold;
-                    z-index: 1000;
-                ">
-                    BLOCKED BY FOKUS
-                </div>
-            `;
-            container.appendChild(overlay);
+    /**
+     * Hide search result
+     */
+    hideSearchResult(container)
+    {
+        container.style.opacity = '0.3';
+        container.style.filter = 'blur(2px)';
+        container.style.pointerEvents = 'none';
+        container.style.position = 'relative';
+
+        // Check if overlay already exists
+        if (container.querySelector('.fokus-blocked-overlay'))
+        {
+            return;
         }
+
+        // Add blocked overlay
+        const overlay = document.createElement('div');
+        overlay.className = 'fokus-blocked-overlay';
+        overlay.innerHTML = `
+            <div style="
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: #EF4444;
+                color: white;
+                padding: 5px 10px;
+                border-radius: 4px;
+                font-size: 12px;
+                font-weight: bold;
+                z-index: 1000;
+            ">
+                BLOCKED BY FOKUS
+            </div>
+        `;
+        container.appendChild(overlay);
     }
 
     /**
@@ -256,62 +528,460 @@ class FokusContentScript
     {
         if (!this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
 
-        // Don't check on search engines (already handled)
-        if (this.isSearchEngine(window.location.hostname)) return;
+        // Don't check on search pages (already handled) or exceptions
+        if (this.isSearchPage() || this.isException(window.location.href)) return;
+
+        const keywords = this.getActiveKeywords();
 
         // Check page title
-        const title = document.title.toLowerCase();
-        for (const keyword of this.blocklist.keywords)
+        const titleMatch = KeywordMatcher.findMatch(keywords, document.title);
+        if (titleMatch)
         {
-            if (title.includes(keyword.toLowerCase()))
-            {
-                this.blockPage('keyword', keyword);
-                return;
-            }
+            this.blockPage('keyword', titleMatch.value);
+            return;
         }
 
         // Check meta description
         const metaDescription = document.querySelector('meta[name="description"]');
         if (metaDescription)
         {
-            const description = metaDescription.content.toLowerCase();
-            for (const keyword of this.blocklist.keywords)
+            const descriptionMatch = KeywordMatcher.findMatch(keywords, metaDescription.content);
+            if (descriptionMatch)
             {
-                if (description.includes(keyword.toLowerCase()))
-                {
-                    this.blockPage('keyword', keyword);
-                    return;
-                }
+                this.blockPage('keyword', descriptionMatch.value);
+                return;
             }
         }
 
+        // Feeds redact single posts instead of blocking the page for one mention
+        if (this.redaction)
+        {
+            this.checkRedactions();
+            this.setupRedactionObserver();
+            return;
+        }
+
         // Check main headings
         const headings = document.querySelectorAll('h1, h2');
         for (const heading of headings)
         {
-            const text = heading.textContent.toLowerCase();
-            for (const keyword of this.blocklist.keywords)
+            const headingMatch = KeywordMatcher.findMatch(keywords, heading.textContent);
+            if (headingMatch)
             {
-                if (text.includes(keyword.toLowerCase()))
+                this.blockPage('keyword', headingMatch.value);
+                return;
+            }
+        }
+
+        // Articles with neutral headings are caught by scanning the text itself
+        this.scanPageContent();
+    }
+
+    /**
+     * Start scanning the visible text of the page, once per URL
+     * The scan runs in idle-time slices within a CPU budget per page (scanSettings.timeBudgetMs);
+     * text added later is scanned too, until the budget is spent
+     */
+    scanPageContent()
+    {
+        if (!this.scanSettings?.enabled || window.top !== window || !document.body) return;
+        if (this.contentScan?.url === window.location.href) return;
+
+        this.contentScan = {
+            url: window.location.href,
+            queue: [document.body],
+            walker: null,
+            seen: new WeakSet(),
+            texts: [],
+            length: 0,
+            tail: '',
+            lastBlock: null,
+            words: 0,
+            counts: new Map(),
+            spent: 0,
+            scheduled: false
+        };
+
+        this.setupContentObserver();
+        this.scheduleContentScan();
+    }
+
+    /**
+     * Run the next scan slice when the page is idle
+     */
+    scheduleContentScan()
+    {
+        const scan = this.contentScan;
+        if (!scan || scan.scheduled) return;
+
+        scan.scheduled = true;
+        const run = () =>
+        {
+            scan.scheduled = false;
+            this.runContentScan(scan);
+        };
+
+        if (typeof requestIdleCallback === 'function')
+        {
+            requestIdleCallback(run, { timeout: 1000 });
+        } else
+        {
+            setTimeout(run, 50);
+        }
+    }
+
+    /**
+     * Scan text nodes for one slice, then score the keywords counted so far
+     */
+    runContentScan(scan)
+    {
+        // A newer page replaced this scan
+        if (scan !== this.contentScan) return;
+
+        const { timeBudgetMs, sliceMs, chunkChars } = this.scanSettings;
+        const start = performance.now();
+        const sliceEnd = Math.min(sliceMs, timeBudgetMs - scan.spent);
+
+        let node = null;
+        while (performance.now() - start < sliceEnd && (node = this.nextScanNode(scan)))
+        {
+            // Text split by inline tags ("<b>foo</b>bar") reads as one word, text in another block does not
+            const block = this.getTextBlock(node);
+            scan.texts.push(block === scan.lastBlock ? node.nodeValue : ` ${node.nodeValue}`);
+            scan.lastBlock = block;
+            scan.length += node.nodeValue.length;
+
+            if (scan.length >= chunkChars)
+            {
+                this.countScanText(scan);
+            }
+        }
+
+        this.countScanText(scan);
+        scan.spent += performance.now() - start;
+
+        const isComplete = scan.spent >= timeBudgetMs || (!scan.walker && scan.queue.length === 0);
+        const match = this.getScanMatch(scan, isComplete);
+        if (match)
+        {
+            this.blockPage('keyword', match.value);
+        } else if (!isComplete)
+        {
+            this.scheduleContentScan();
+        }
+    }
+
+    /**
+     * Get the next unscanned, visible text node
+     */
+    nextScanNode(scan)
+    {
+        for (;;)
+        {
+            const node = scan.walker?.nextNode();
+            if (node)
+            {
+                scan.seen.add(node);
+                return node;
+            }
+
+            scan.walker = null;
+
+            const root = scan.queue.shift();
+            if (!root) return null;
+            if (!root.isConnected || !this.isScannable(root)) continue;
+
+            scan.walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+                acceptNode: (candidate) =>
                 {
-                    this.blockPage('keyword', keyword);
-                    return;
+                    if (candidate.nodeType === Node.TEXT_NODE)
+                    {
+                        return scan.seen.has(candidate) || !candidate.nodeValue.trim()
+                            ? NodeFilter.FILTER_REJECT
+                            : NodeFilter.FILTER_ACCEPT;
+                    }
+
+                    return this.isScannable(candidate) ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_REJECT;
                 }
+            });
+        }
+    }
+
+    /**
+     * Check if an element's text is shown to the reader
+     */
+    isScannable(element)
+    {
+        if (/^(script|style|noscript|template|textarea|svg)$/i.test(element.nodeName)) return false;
+
+        return typeof element.checkVisibility !== 'function' ||
+            element.checkVisibility({ visibilityProperty: true });
+    }
+
+    /**
+     * Get the closest ancestor of a text node that is not an inline element
+     */
+    getTextBlock(node)
+    {
+        const inline = /^(a|abbr|b|bdi|bdo|cite|code|data|dfn|em|i|kbd|mark|q|s|samp|small|span|strong|sub|sup|time|u|var)$/i;
+
+        let element = node.parentElement;
+        while (element && inline.test(element.nodeName) && element.parentElement)
+        {
+            element = element.parentElement;
+        }
+
+        return element;
+    }
+
+    /**
+     * Count keyword occurrences and words in the collected text
+     * The end of the previous chunk is counted again in front of this one, so phrases across
+     * the two are found; what the end held on its own was counted with that chunk and is taken off
+     */
+    countScanText(scan)
+    {
+        if (scan.texts.length === 0) return;
+
+        const text = scan.tail + scan.texts.join('');
+        const prepared = KeywordMatcher.prepare(text);
+        const tail = KeywordMatcher.prepare(scan.tail);
+        scan.tail = text.slice(-this.scanSettings.overlapChars);
+        scan.texts = [];
+        scan.length = 0;
+
+        const countWords = (form) => form.get(false).split(' ').filter(Boolean).length;
+        scan.words += countWords(prepared) - countWords(tail);
+
+        for (const entry of this.getActiveKeywords())
+        {
+            const occurrences = KeywordMatcher.count(entry, prepared) - KeywordMatcher.count(entry, tail);
+            scan.counts.set(entry.value, (scan.counts.get(entry.value) || 0) + occurrences);
+        }
+    }
+
+    /**
+     * Get the keyword whose score reaches the threshold
+     * Density can still drop while text is left, so until the scan is complete only
+     * occurrences count; they alone reaching the threshold guarantees the final score does
+     */
+    getScanMatch(scan, isComplete)
+    {
+        const words = Math.max(scan.words, this.scanSettings.minWords);
+
+        return this.getActiveKeywords().find(entry =>
+        {
+            const occurrences = scan.counts.get(entry.value) || 0;
+            const score = isComplete ? occurrences + (occurrences * 1000) / words : occurrences;
+
+            return occurrences > 0 && score >= this.scanSettings.threshold;
+        }) || null;
+    }
+
+    /**
+     * Redact the posts and comments that match a keyword
+     * A comment's text includes its replies, so of nested matches only the innermost is redacted
+     */
+    checkRedactions()
+    {
+        if (!this.redaction || !this.blocklist?.keywords || this.blocklist.keywords.length === 0) return;
+
+        const keywords = this.getActiveKeywords();
+        const matches = new Map();
+
+        for (const container of this.querySelectorAll(this.redaction.selectors))
+        {
+            const entry = KeywordMatcher.findMatch(keywords, container.textContent);
+            if (entry)
+            {
+                matches.set(container, entry);
             }
         }
+
+        for (const [container, entry] of matches)
+        {
+            if (this.redacted.has(container) || this.revealed.has(container)) continue;
+            if ([...matches.keys()].some(other => other !== container && container.contains(other))) continue;
+
+            this.redactElement(container, entry);
+        }
+    }
+
+    /**
+     * Blur or collapse a post and put a notice with a "show anyway" button before it
+     * The notice lives in a shadow root so page CSS cannot restyle or hide it
+     */
+    redactElement(container, entry)
+    {
+        const previousStyle = container.getAttribute('style');
+
+        if (this.redaction.style === 'collapse')
+        {
+            container.style.setProperty('display', 'none', 'important');
+        } else
+        {
+            container.style.setProperty('filter', 'blur(8px)', 'important');
+            container.style.setProperty('pointer-events', 'none', 'important');
+            container.style.setProperty('user-select', 'none', 'important');
+        }
+
+        const host = document.createElement('div');
+        host.className = 'fokus-redaction';
+        host.style.setProperty('display', 'block', 'important');
+        host.style.setProperty('margin', '8px 0', 'important');
+
+        const shadow = host.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>
+                :host { all: initial; }
+                .notice {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 8px 12px;
+                    background: #FEF2F2;
+                    border: 1px solid #FECACA;
+                    border-radius: 6px;
+                    font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+                    color: #374151;
+                }
+                .badge {
+                    background: #EF4444;
+                    color: white;
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    font-size: 11px;
+                    font-weight: bold;
+                }
+                .reason { flex: 1; }
+                button {
+                    padding: 4px 10px;
+                    border: 1px solid #D1D5DB;
+                    border-radius: 4px;
+                    background: white;
+                    color: #374151;
+                    font: inherit;
+                    cursor: pointer;
+                }
+            </style>
+            <div class="notice">
+                <span class="badge">HIDDEN BY FOKUS</span>
+                <span class="reason"></span>
+                <button type="button">Show anyway</button>
+            </div>
+        `;
+
+        const reason = shadow.querySelector('.reason');
+        reason.textContent = `Mentions "${entry.value}"`;
+
+        shadow.querySelector('button').addEventListener('click', async (event) =>
+        {
+            event.stopPropagation();
+
+            // Showing a post counts as an override, which strict mode refuses
+            try
+            {
+                await this.sendMessage('REDACTION_OVERRIDE', {
+                    url: window.location.href,
+                    keyword: entry.value
+                });
+            } catch (error)
+            {
+                reason.textContent = typeof error === 'string' ? error : 'Could not show this post';
+                return;
+            }
+
+            if (previousStyle === null)
+            {
+                container.removeAttribute('style');
+            } else
+            {
+                container.setAttribute('style', previousStyle);
+            }
+
+            host.remove();
+            this.redacted.delete(container);
+            this.revealed.add(container);
+        });
+
+        container.before(host);
+        this.redacted.set(container, host);
+    }
+
+    /**
+     * Redact posts loaded while scrolling
+     */
+    setupRedactionObserver()
+    {
+        if (this.redactionObserver || !document.body) return;
+
+        this.redactionObserver = new MutationObserver(() =>
+        {
+            if (this.redactionTimeout)
+            {
+                clearTimeout(this.redactionTimeout);
+            }
+
+            this.redactionTimeout = setTimeout(() => this.checkRedactions(), 300);
+        });
+
+        this.redactionObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+    }
+
+    /**
+     * Queue text added to the page for the scan
+     */
+    setupContentObserver()
+    {
+        if (this.contentObserver) return;
+
+        this.contentObserver = new MutationObserver((mutations) =>
+        {
+            const scan = this.contentScan;
+            if (!scan || scan.spent >= this.scanSettings.timeBudgetMs) return;
+
+            for (const mutation of mutations)
+            {
+                for (const node of mutation.addedNodes)
+                {
+                    const root = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+                    if (root?.nodeType === Node.ELEMENT_NODE)
+                    {
+                        scan.queue.push(root);
+                    }
+                }
+            }
+
+            if (scan.queue.length > 0)
+            {
+                this.scheduleContentScan();
+            }
+        });
+
+        this.contentObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
     }
 
     /**
      * Block the current page
      */
-    blockPage(blockType, blockSource)
+    blockPage(blockType, blockSource, reason = `Blocked ${blockType}: ${blockSource}`)
     {
+        // Several checks can match before the redirect happens; block each URL once
+        if (this.blockedUrl === window.location.href) return;
+        this.blockedUrl = window.location.href;
+
         // Send message to background to redirect
         this.sendMessage('BLOCK_PAGE', {
             url: window.location.href,
             blockType,
             blockSource,
-            reason: `Blocked ${blockType}: ${blockSource}`
+            reason
         });
     }
 
@@ -320,8 +990,8 @@ class FokusContentScript
      */
     setupObserver()
     {
-        // Only observe on search engines
-        if (!this.isSearchEngine(window.location.hostname)) return;
+        // Only observe on sites with a search adapter; suggestions show up before there is a query
+        if (!this.searchAdapter) return;
 
         // Make sure document.body exists
         if (!document.body)
@@ -352,6 +1022,51 @@ class FokusContentScript
         });
     }
 
+    /**
+     * Re-check the page after in-app navigations
+     * Pages changed with pushState are reported by the background worker (CHECK_PAGE),
+     * back and forward navigations fire popstate, and single-page apps usually set the
+     * new title only once the content has loaded, so title changes are checked as well
+     */
+    setupNavigationListener()
+    {
+        window.addEventListener('popstate', () => this.handleUrlChange());
+        window.addEventListener('hashchange', () => this.handleUrlChange());
+
+        if (window.top !== window || this.titleObserver) return;
+
+        this.lastTitle = document.title;
+        this.titleObserver = new MutationObserver(() =>
+        {
+            if (document.title === this.lastTitle) return;
+
+            this.lastTitle = document.title;
+            if (!this.handleUrlChange())
+            {
+                this.checkPageContent();
+            }
+        });
+
+        this.titleObserver.observe(document.head || document.documentElement, {
+            childList: true,
+            subtree: true,
+            characterData: true
+        });
+    }
+
+    /**
+     * Check the page again if its URL changed
+     * Returns whether it did
+     */
+    handleUrlChange()
+    {
+        if (window.location.href === this.lastUrl) return false;
+
+        this.lastUrl = window.location.href;
+        this.checkCurrentPage();
+        return true;
+    }
+
     /**
      * Setup periodic check for dynamic pages
      */
@@ -360,7 +1075,7 @@ class FokusContentScript
         // Check every 5 seconds for dynamic content changes
         this.checkInterval = setInterval(() =>
         {
-            if (this.isSearchEngine(window.location.hostname))
+            if (this.isSearchPage())
             {
                 this.checkSearchKeywords();
             }
@@ -379,8 +1094,14 @@ class FokusContentScript
                 this.blocklist = request.payload;
                 this.checkCurrentPage();
                 sendResponse({ success: true });
+            } else if (request.type === 'COSMETIC_FILTERS_UPDATED')
+            {
+                this.loadCosmeticFilters();
+                sendResponse({ success: true });
             } else if (request.type === 'CHECK_PAGE')
             {
+                // Also sent after pushState navigations
+                this.lastUrl = window.location.href;
                 this.checkCurrentPage();
                 sendResponse({ success: true });
             }
@@ -421,6 +1142,36 @@ class FokusContentScript
             this.observer.disconnect();
         }
 
+        if (this.frameObserver)
+        {
+            this.frameObserver.disconnect();
+        }
+
+        if (this.cosmeticObserver)
+        {
+            this.cosmeticObserver.disconnect();
+        }
+
+        if (this.titleObserver)
+        {
+            this.titleObserver.disconnect();
+        }
+
+        if (this.contentObserver)
+        {
+            this.contentObserver.disconnect();
+        }
+
+        if (this.redactionObserver)
+        {
+            this.redactionObserver.disconnect();
+        }
+
+        if (this.redactionTimeout)
+        {
+            clearTimeout(this.redactionTimeout);
+        }
+
         if (this.checkInterval)
         {
             clearInterval(this.checkInterval);
@@ -3,6 +3,9 @@
  * Handles all popup interactions and authentication
  */
 
+// List edited on the settings screen, null for the default list
+let selectedListId = null;
+
 document.addEventListener('DOMContentLoaded', function ()
 {
     console.log('Popup loaded');
@@ -400,6 +403,8 @@ function showMainScreen()
 
     // Load user data and stats
     loadUserData();
+    loadFocusStatus();
+    loadAllowances();
 
     // Set up main screen event listeners
     setupMainScreenListeners();
@@ -478,6 +483,19 @@ function setupMainScreenListeners()
         quickBlockBtn.addEventListener('click', handleQuickBlock);
     }
 
+    // Focus session
+    const focusStartBtn = document.getElementById('focus-start-btn');
+    if (focusStartBtn)
+    {
+        focusStartBtn.addEventListener('click', handleFocusStart);
+    }
+
+    const focusStopBtn = document.getElementById('focus-stop-btn');
+    if (focusStopBtn)
+    {
+        focusStopBtn.addEventListener('click', handleFocusStop);
+    }
+
     // Settings button
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn)
@@ -542,6 +560,716 @@ function setupMainScreenListeners()
             loadSettings();
         });
     }
+
+    setupSettingsListeners();
+}
+
+function setupSettingsListeners()
+{
+    // Add keyword
+    const addKeywordBtn = document.getElementById('add-keyword-btn');
+    if (addKeywordBtn)
+    {
+        addKeywordBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-keyword-input');
+            const keyword = input.value.trim().toLowerCase();
+            if (!keyword) return;
+
+            const excludeInput = document.getElementById('add-keyword-exclude');
+            const leetCheckbox = document.getElementById('add-keyword-leet');
+            const payload = {
+                keyword,
+                mode: document.getElementById('add-keyword-mode').value || null,
+                leet: leetCheckbox.checked,
+                exclude: excludeInput.value.split(',').map(phrase => phrase.trim()).filter(Boolean),
+                schedule: readScheduleForm('keyword-schedule'),
+                listId: selectedListId
+            };
+
+            updateBlocklist('BLOCKLIST_ADD_KEYWORD', payload, 'Keyword added', input)
+                .then(added =>
+                {
+                    if (!added) return;
+                    excludeInput.value = '';
+                    leetCheckbox.checked = false;
+                    clearScheduleForm('keyword-schedule');
+                });
+        });
+    }
+
+    // Add domain, path, wildcard or regex rule
+    const addDomainBtn = document.getElementById('add-domain-btn');
+    if (addDomainBtn)
+    {
+        addDomainBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-domain-input');
+            const value = input.value.trim();
+            if (!value) return;
+
+            const ruleType = document.getElementById('add-domain-type').value || BlockRules.detectRuleType(value);
+            const allowanceInput = document.getElementById('add-domain-allowance');
+            const visitsInput = document.getElementById('add-domain-visits');
+            const allowance = Number(allowanceInput.value) || null;
+            const visitLimit = Number(visitsInput.value) || null;
+            const includeSubdomains = document.getElementById('add-domain-subdomains').checked;
+            const framesCheckbox = document.getElementById('add-domain-frames');
+            const blockFrames = framesCheckbox.checked;
+            const redirectInput = document.getElementById('add-domain-redirect');
+            const redirectUrl = redirectInput.value.trim() || null;
+            const challengeSelect = document.getElementById('add-domain-challenge');
+            const challenge = challengeSelect.value || null;
+
+            const schedule = readScheduleForm('domain-schedule');
+
+            updateBlocklist('BLOCKLIST_ADD_RULE', {
+                ruleType, value, allowance, visitLimit, includeSubdomains, blockFrames, redirectUrl, challenge, schedule,
+                listId: selectedListId
+            }, 'Rule added', input)
+                .then(added =>
+                {
+                    if (!added) return;
+                    allowanceInput.value = '';
+                    visitsInput.value = '';
+                    framesCheckbox.checked = false;
+                    redirectInput.value = '';
+                    challengeSelect.value = '';
+                    clearScheduleForm('domain-schedule');
+                });
+        });
+    }
+
+    // Add an exception that stays reachable under a blocked domain
+    const addExceptionBtn = document.getElementById('add-exception-btn');
+    if (addExceptionBtn)
+    {
+        addExceptionBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-exception-input');
+            const value = input.value.trim();
+            if (!value) return;
+
+            const ruleType = document.getElementById('add-exception-type').value || BlockRules.detectRuleType(value);
+            updateBlocklist('BLOCKLIST_ADD_EXCEPTION', { ruleType, value, listId: selectedListId },
+                'Exception added', input);
+        });
+    }
+
+    // Add a domain or path to the allowlist used by whitelist mode
+    const addAllowedBtn = document.getElementById('add-allowed-btn');
+    if (addAllowedBtn)
+    {
+        addAllowedBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-allowed-input');
+            const pattern = input.value.trim();
+            if (!pattern) return;
+
+            updateBlocklist('BLOCKLIST_ADD_ALLOWED', { pattern, listId: selectedListId }, 'Added to allowlist', input);
+        });
+    }
+
+    // Add a custom cosmetic filter
+    const addCosmeticBtn = document.getElementById('add-cosmetic-btn');
+    if (addCosmeticBtn)
+    {
+        addCosmeticBtn.addEventListener('click', () =>
+        {
+            const domainInput = document.getElementById('add-cosmetic-domain');
+            const selectorInput = document.getElementById('add-cosmetic-selector');
+            const domain = domainInput.value.trim();
+            const selector = selectorInput.value.trim();
+            if (!domain || !selector) return;
+
+            // The background worker has no DOM, so selector syntax is checked here
+            try
+            {
+                document.querySelector(selector);
+            } catch
+            {
+                showToast('Invalid CSS selector', 'error');
+                return;
+            }
+
+            updateBlocklist('COSMETIC_FILTER_ADD', { domain, selector }, 'Filter added', selectorInput);
+        });
+    }
+
+    // Add a search engine adapter for keyword checks on its search pages
+    const addSearchBtn = document.getElementById('add-search-btn');
+    if (addSearchBtn)
+    {
+        addSearchBtn.addEventListener('click', async () =>
+        {
+            const domainInput = document.getElementById('add-search-domain');
+            const paramInput = document.getElementById('add-search-param');
+            const resultsInput = document.getElementById('add-search-results');
+            const autocompleteInput = document.getElementById('add-search-autocomplete');
+            const domain = domainInput.value.trim();
+            const queryParam = paramInput.value.trim();
+            if (!domain || !queryParam) return;
+
+            // The background worker has no DOM, so selector syntax is checked here
+            const selectors = [resultsInput.value, autocompleteInput.value]
+                .flatMap(value => value.split(','))
+                .map(selector => selector.trim())
+                .filter(Boolean);
+            try
+            {
+                selectors.forEach(selector => document.querySelector(selector));
+            } catch
+            {
+                showToast('Invalid CSS selector', 'error');
+                return;
+            }
+
+            const added = await updateBlocklist('SEARCH_ENGINE_ADD', {
+                domain,
+                queryParam,
+                resultSelectors: resultsInput.value,
+                autocompleteSelectors: autocompleteInput.value
+            }, 'Search engine added', domainInput);
+
+            if (added)
+            {
+                paramInput.value = '';
+                resultsInput.value = '';
+                autocompleteInput.value = '';
+            }
+        });
+    }
+
+    // General settings checkboxes
+    const settingToggles = {
+        'notifications-enabled': 'notifications',
+        'sound-enabled': 'soundEnabled',
+        'strict-mode': 'strictMode',
+        'whitelist-mode': 'whitelistMode',
+        'safe-search': 'safeSearch',
+        'content-scan': 'contentScan',
+        'sync-enabled': 'syncEnabled'
+    };
+
+    Object.entries(settingToggles).forEach(([id, setting]) =>
+    {
+        const checkbox = document.getElementById(id);
+        if (checkbox)
+        {
+            checkbox.addEventListener('change', async () =>
+            {
+                if (setting === 'strictMode' && checkbox.checked)
+                {
+                    const lockSelect = document.getElementById('strict-lock-minutes');
+                    const label = lockSelect.options[lockSelect.selectedIndex].text;
+                    if (!confirm(`Strict mode locks your blocklist for ${label}. It cannot be turned off early. Continue?`))
+                    {
+                        checkbox.checked = false;
+                        return;
+                    }
+                }
+
+                const updates = { [setting]: checkbox.checked };
+                if (setting === 'strictMode')
+                {
+                    updates.strictModeLockMinutes = Number(document.getElementById('strict-lock-minutes').value);
+                }
+
+                const saved = await saveSettings(updates);
+                if (!saved)
+                {
+                    checkbox.checked = !checkbox.checked;
+                }
+            });
+        }
+    });
+
+    // A lower threshold blocks more pages; strict mode refuses raising it
+    const thresholdInput = document.getElementById('content-scan-threshold');
+    if (thresholdInput)
+    {
+        thresholdInput.addEventListener('change', async () =>
+        {
+            if (!(await saveSettings({ contentScanThreshold: Number(thresholdInput.value) })))
+            {
+                loadSettings();
+            }
+        });
+    }
+
+    // Redacting posts instead of blocking pages; strict mode refuses switching it on
+    const redactionSelect = document.getElementById('redaction-style');
+    if (redactionSelect)
+    {
+        redactionSelect.addEventListener('change', async () =>
+        {
+            if (!(await saveSettings({ redaction: redactionSelect.value })))
+            {
+                loadSettings();
+            }
+        });
+    }
+
+    // Import GitHub list
+    const addGithubBtn = document.getElementById('add-github-btn');
+    if (addGithubBtn)
+    {
+        addGithubBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-github-input');
+            const url = input.value.trim();
+            if (!url) return;
+
+            updateBlocklist('BLOCKLIST_IMPORT_GITHUB', { url, listId: selectedListId }, 'GitHub list imported', input);
+        });
+    }
+
+    // Create a named list
+    const addListBtn = document.getElementById('add-list-btn');
+    if (addListBtn)
+    {
+        addListBtn.addEventListener('click', () =>
+        {
+            const input = document.getElementById('add-list-input');
+            const name = input.value.trim();
+            if (!name) return;
+
+            updateBlocklist('BLOCKLIST_CREATE', { name }, 'List created', input);
+        });
+    }
+}
+
+async function updateBlocklist(type, payload, successMessage, input)
+{
+    try
+    {
+        const response = await chrome.runtime.sendMessage({ type, payload });
+
+        if (response && response.success)
+        {
+            showToast(successMessage, 'success');
+            if (input) input.value = '';
+            loadSettings();
+            return true;
+        }
+
+        showToast(response?.error || 'Failed to update blocklist', 'error');
+    } catch (error)
+    {
+        console.error('Blocklist update error:', error);
+        showToast('An error occurred', 'error');
+    }
+
+    return false;
+}
+
+/**
+ * Set the schedule of a listed keyword or rule from its section's schedule form
+ */
+async function setSchedule(listType, value, formId)
+{
+    const schedule = readScheduleForm(formId);
+    const updated = await updateBlocklist('BLOCKLIST_SET_SCHEDULE', { listType, value, schedule, listId: selectedListId },
+        schedule ? 'Schedule set' : 'Schedule cleared');
+
+    if (updated) clearScheduleForm(formId);
+}
+
+async function saveSettings(updates)
+{
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'SETTINGS_UPDATE',
+            payload: updates
+        });
+
+        if (!response || response.success === false)
+        {
+            showToast(response?.error || 'Failed to save settings', 'error');
+            return false;
+        }
+
+        renderSettings(response);
+        return true;
+    } catch (error)
+    {
+        console.error('Settings update error:', error);
+        showToast('An error occurred', 'error');
+        return false;
+    }
+}
+
+function renderSettings(settings)
+{
+    const checkboxes = {
+        'notifications-enabled': settings.notifications,
+        'sound-enabled': settings.soundEnabled,
+        'strict-mode': settings.strictMode,
+        'whitelist-mode': settings.whitelistMode,
+        'safe-search': settings.safeSearch,
+        'content-scan': settings.contentScan,
+        'sync-enabled': settings.syncEnabled
+    };
+
+    Object.entries(checkboxes).forEach(([id, checked]) =>
+    {
+        const checkbox = document.getElementById(id);
+        if (checkbox)
+        {
+            checkbox.checked = Boolean(checked);
+        }
+    });
+
+    const lockSelect = document.getElementById('strict-lock-minutes');
+    if (lockSelect)
+    {
+        lockSelect.value = String(settings.strictModeLockMinutes);
+    }
+
+    // While locked, strict mode cannot be changed from here
+    const isLocked = settings.strictMode && settings.strictModeLockedUntil > Date.now();
+    const strictStatus = document.getElementById('strict-mode-status');
+    if (strictStatus)
+    {
+        strictStatus.textContent = isLocked
+            ? `Locked until ${new Date(settings.strictModeLockedUntil).toLocaleString()}`
+            : '';
+    }
+
+    const strictCheckbox = document.getElementById('strict-mode');
+    if (strictCheckbox)
+    {
+        strictCheckbox.disabled = isLocked;
+    }
+
+    if (lockSelect)
+    {
+        lockSelect.disabled = isLocked;
+    }
+
+    // Strict mode refuses switching whitelist mode off and allowing more sites
+    const whitelistCheckbox = document.getElementById('whitelist-mode');
+    if (whitelistCheckbox)
+    {
+        whitelistCheckbox.disabled = isLocked && settings.whitelistMode;
+    }
+
+    ['add-allowed-input', 'add-allowed-btn'].forEach(id =>
+    {
+        const element = document.getElementById(id);
+        if (element)
+        {
+            element.disabled = isLocked;
+        }
+    });
+
+    const safeSearchCheckbox = document.getElementById('safe-search');
+    if (safeSearchCheckbox)
+    {
+        safeSearchCheckbox.disabled = isLocked && settings.safeSearch;
+    }
+
+    const contentScanCheckbox = document.getElementById('content-scan');
+    if (contentScanCheckbox)
+    {
+        contentScanCheckbox.disabled = isLocked && settings.contentScan;
+    }
+
+    const thresholdInput = document.getElementById('content-scan-threshold');
+    if (thresholdInput)
+    {
+        thresholdInput.value = String(settings.contentScanThreshold);
+    }
+
+    const redactionSelect = document.getElementById('redaction-style');
+    if (redactionSelect)
+    {
+        redactionSelect.value = settings.redaction;
+    }
+
+    renderCategories(settings);
+    renderCosmeticFilters(settings);
+
+    // Custom search engines are listed by domain with their query parameter
+    const engines = (settings.customSearchEngines || [])
+        .map(engine => ({ value: engine.domains[0], param: engine.queryParams[0] }));
+
+    renderBlocklistItems('search-engine-list', engines, (domain) =>
+        updateBlocklist('SEARCH_ENGINE_REMOVE', { domain }, 'Search engine removed'),
+        (engine) => `?${engine.param}=`);
+}
+
+function renderCategories(settings)
+{
+    const list = document.getElementById('category-list');
+    if (!list) return;
+
+    list.textContent = '';
+    const enabled = settings.blockCategories || [];
+
+    Object.entries(CONFIG.BLOCKING.CATEGORIES).forEach(([id, name]) =>
+    {
+        const item = document.createElement('div');
+        item.className = 'setting-item';
+
+        const label = document.createElement('label');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = enabled.includes(id);
+        checkbox.addEventListener('change', async () =>
+        {
+            const ids = checkbox.checked
+                ? [...enabled, id]
+                : enabled.filter(category => category !== id);
+
+            if (!(await saveSettings({ blockCategories: ids })))
+            {
+                checkbox.checked = !checkbox.checked;
+            }
+        });
+
+        const text = document.createElement('span');
+        text.textContent = name;
+
+        label.append(checkbox, text);
+        item.appendChild(label);
+        list.appendChild(item);
+    });
+}
+
+function renderCosmeticFilters(settings)
+{
+    const builtInList = document.getElementById('cosmetic-builtin-list');
+    if (builtInList)
+    {
+        builtInList.textContent = '';
+        const enabled = settings.cosmeticFilters || [];
+
+        CosmeticFilters.BUILT_IN.forEach(filter =>
+        {
+            const item = document.createElement('div');
+            item.className = 'setting-item';
+
+            const label = document.createElement('label');
+            label.title = filter.domains.join(', ');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled.includes(filter.id);
+            checkbox.addEventListener('change', async () =>
+            {
+                const ids = checkbox.checked
+                    ? [...enabled, filter.id]
+                    : enabled.filter(id => id !== filter.id);
+
+                if (!(await saveSettings({ cosmeticFilters: ids })))
+                {
+                    checkbox.checked = !checkbox.checked;
+                }
+            });
+
+            const name = document.createElement('span');
+            name.textContent = `Hide ${filter.name}`;
+
+            label.append(checkbox, name);
+            item.appendChild(label);
+            builtInList.appendChild(item);
+        });
+    }
+
+    // Custom filters are shown in the "domain##selector" notation used by ad blockers
+    const custom = (settings.customCosmeticFilters || [])
+        .map(filter => `${filter.domain}##${filter.selector}`);
+
+    renderBlocklistItems('cosmetic-custom-list', custom, (value) =>
+    {
+        const separator = value.indexOf('##');
+        updateBlocklist('COSMETIC_FILTER_REMOVE', {
+            domain: value.slice(0, separator),
+            selector: value.slice(separator + 2)
+        }, 'Filter removed');
+    });
+}
+
+/**
+ * Read a schedule form; null when no start and end are set
+ * No checked day means every day
+ */
+function readScheduleForm(formId)
+{
+    const form = document.getElementById(formId);
+    if (!form) return null;
+
+    const start = form.querySelector('.schedule-start').value;
+    const end = form.querySelector('.schedule-end').value;
+    if (!start || !end) return null;
+
+    const days = [...form.querySelectorAll('.schedule-days input:checked')].map(checkbox => Number(checkbox.value));
+    return days.length > 0 && days.length < 7 ? { days, start, end } : { start, end };
+}
+
+function clearScheduleForm(formId)
+{
+    const form = document.getElementById(formId);
+    if (!form) return;
+
+    form.querySelectorAll('input').forEach(input =>
+    {
+        if (input.type === 'checkbox')
+        {
+            input.checked = false;
+        } else
+        {
+            input.value = '';
+        }
+    });
+}
+
+/**
+ * Describe a schedule for the list, e.g. "Mon–Fri 09:00–17:30"
+ */
+function formatSchedule(schedule)
+{
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const windows = Array.isArray(schedule) ? schedule : [schedule];
+
+    return windows.map(range =>
+    {
+        const days = [...(range.days || [])].sort((a, b) => a - b);
+        const isRun = days.length > 2 && days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+        const label = days.length === 0 || days.length === 7
+            ? 'daily'
+            : isRun ? `${names[days[0]]}–${names[days[days.length - 1]]}` : days.map(day => names[day]).join(',');
+
+        return `${label} ${range.start}–${range.end}`;
+    }).join(', ');
+}
+
+function renderBlocklistItems(containerId, entries, onRemove, getType, onSchedule)
+{
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.textContent = '';
+
+    if (!entries || entries.length === 0)
+    {
+        const empty = document.createElement('div');
+        empty.className = 'blocklist-empty';
+        empty.textContent = 'Nothing here yet';
+        container.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry =>
+    {
+        const value = BlockRules.getValue(entry);
+
+        const item = document.createElement('div');
+        item.className = 'blocklist-item';
+
+        if (getType)
+        {
+            const type = document.createElement('span');
+            type.className = 'item-type';
+            type.textContent = getType(entry);
+            item.appendChild(type);
+        }
+
+        const label = document.createElement('span');
+        label.className = 'item-value';
+        label.textContent = value;
+        label.title = value;
+        item.appendChild(label);
+
+        if (onSchedule)
+        {
+            const scheduleBtn = document.createElement('button');
+            scheduleBtn.className = 'schedule-btn';
+            scheduleBtn.title = 'Apply the schedule below (empty clears it)';
+            scheduleBtn.textContent = '⏱';
+            scheduleBtn.addEventListener('click', () => onSchedule(value));
+            item.appendChild(scheduleBtn);
+        }
+
+        if (onRemove)
+        {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Remove';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => onRemove(value));
+            item.appendChild(removeBtn);
+        }
+
+        container.appendChild(item);
+    });
+}
+
+function renderLists(lists)
+{
+    const container = document.getElementById('list-collection');
+    if (!container) return;
+
+    container.textContent = '';
+
+    lists.forEach(list =>
+    {
+        const item = document.createElement('div');
+        item.className = 'blocklist-item';
+        item.classList.toggle('selected', (list.id || null) === selectedListId);
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.title = 'Enabled';
+        toggle.checked = list.is_active !== false;
+        toggle.addEventListener('change', async () =>
+        {
+            const updated = await updateBlocklist('BLOCKLIST_SET_ACTIVE', { listId: list.id, active: toggle.checked },
+                toggle.checked ? `${list.name} enabled` : `${list.name} disabled`);
+            if (!updated)
+            {
+                toggle.checked = !toggle.checked;
+            }
+        });
+        item.appendChild(toggle);
+
+        const label = document.createElement('span');
+        label.className = 'item-value selectable';
+        label.textContent = list.name;
+        label.title = 'Edit this list';
+        label.addEventListener('click', () =>
+        {
+            selectedListId = list.id || null;
+            loadSettings();
+        });
+        item.appendChild(label);
+
+        if (lists.length > 1)
+        {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Delete list';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () =>
+            {
+                if (!confirm(`Delete the list "${list.name}" and all of its entries?`)) return;
+                updateBlocklist('BLOCKLIST_DELETE', { listId: list.id }, 'List deleted');
+            });
+            item.appendChild(removeBtn);
+        }
+
+        container.appendChild(item);
+    });
+
+    const editing = document.getElementById('list-editing');
+    if (editing)
+    {
+        const selected = lists.find(list => (list.id || null) === selectedListId);
+        editing.textContent = selected ? `Editing: ${selected.name}` : '';
+    }
 }
 
 async function handleQuickBlock()
@@ -549,7 +1277,7 @@ async function handleQuickBlock()
     const input = document.getElementById('quick-block-input');
     if (!input || !input.value) return;
 
-    const value = input.value.trim().toLowerCase();
+    const value = input.value.trim();
     const quickBlockBtn = document.getElementById('quick-block-btn');
 
     // Disable button while processing
@@ -558,17 +1286,21 @@ async function handleQuickBlock()
 
     try
     {
-        // Determine if it's a domain or keyword
-        const isDomain = value.includes('.') && !value.includes(' ');
+        // Determine if it's a URL rule (domain, path, wildcard, regex) or keyword
+        const ruleType = BlockRules.detectRuleType(value);
+        const isRule = ruleType === 'regex' || (value.includes('.') && !value.includes(' '));
 
         const response = await chrome.runtime.sendMessage({
-            type: isDomain ? 'BLOCKLIST_ADD_DOMAIN' : 'BLOCKLIST_ADD_KEYWORD',
-            payload: isDomain ? { domain: value } : { keyword: value }
+            type: isRule ? 'BLOCKLIST_ADD_RULE' : 'BLOCKLIST_ADD_KEYWORD',
+            payload: isRule ? { ruleType, value } : { keyword: value }
         });
 
         if (response && response.success)
         {
-            showToast(`${isDomain ? 'Domain' : 'Keyword'} blocked successfully!`, 'success');
+            const label = isRule
+                ? ruleType.charAt(0).toUpperCase() + ruleType.slice(1) + ' rule'
+                : 'Keyword';
+            showToast(`${label} blocked successfully!`, 'success');
             input.value = '';
             // Reload stats
             loadUserData();
@@ -587,6 +1319,135 @@ async function handleQuickBlock()
     }
 }
 
+async function handleFocusStart()
+{
+    const input = document.getElementById('focus-extra-input');
+    const focusStartBtn = document.getElementById('focus-start-btn');
+
+    // Split extra entries into URL rules and keywords, like quick block does
+    const domains = [];
+    const keywords = [];
+    (input?.value || '').split(',').map(value => value.trim()).filter(Boolean).forEach(value =>
+    {
+        const ruleType = BlockRules.detectRuleType(value);
+        const isRule = ruleType === 'regex' || (value.includes('.') && !value.includes(' '));
+        (isRule ? domains : keywords).push(value);
+    });
+
+    focusStartBtn.disabled = true;
+
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'FOCUS_START',
+            payload: { domains, keywords }
+        });
+
+        if (response && response.success)
+        {
+            showToast('Focus session started', 'success');
+            if (input) input.value = '';
+            renderFocusStatus(response.data);
+        } else
+        {
+            showToast(response?.error || 'Failed to start focus session', 'error');
+        }
+    } catch (error)
+    {
+        console.error('Focus start error:', error);
+        showToast('An error occurred', 'error');
+    } finally
+    {
+        focusStartBtn.disabled = false;
+    }
+}
+
+async function handleFocusStop()
+{
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'FOCUS_STOP'
+        });
+
+        if (response && response.success)
+        {
+            showToast('Focus session stopped', 'info');
+            renderFocusStatus(null);
+        } else
+        {
+            showToast(response?.error || 'Failed to stop focus session', 'error');
+        }
+    } catch (error)
+    {
+        console.error('Focus stop error:', error);
+        showToast('An error occurred', 'error');
+    }
+}
+
+async function loadFocusStatus()
+{
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'FOCUS_STATUS'
+        });
+
+        if (response && response.success)
+        {
+            renderFocusStatus(response.data);
+        }
+    } catch (error)
+    {
+        console.error('Error loading focus status:', error);
+    }
+}
+
+async function loadAllowances()
+{
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'ALLOWANCE_STATUS'
+        });
+
+        const section = document.getElementById('allowance-section');
+        if (!section || !response || !response.success) return;
+
+        const statuses = response.data;
+        section.classList.toggle('has-items', statuses.length > 0);
+
+        renderBlocklistItems('allowance-list', statuses, null, (status) =>
+        {
+            if (status.limitReached) return 'Used up';
+
+            return [
+                status.allowance && `${Math.ceil(status.remainingSeconds / 60)} of ${status.allowance}m left`,
+                status.visitLimit && `${status.remainingVisits} of ${status.visitLimit} visits left`
+            ].filter(Boolean).join(' · ');
+        });
+    } catch (error)
+    {
+        console.error('Error loading allowances:', error);
+    }
+}
+
+function renderFocusStatus(session)
+{
+    const section = document.querySelector('.focus-section');
+    if (!section) return;
+
+    section.classList.toggle('running', Boolean(session));
+
+    const statusText = document.getElementById('focus-status-text');
+    if (session && statusText)
+    {
+        const minutes = Math.ceil(session.remainingMs / 60000);
+        const phase = session.phase === 'work' ? 'Focus' : 'Break';
+        statusText.textContent = `${phase} · ${minutes} min left · cycle ${session.cycle} of ${session.cycles}`;
+    }
+}
+
 async function handleSignOut()
 {
     if (!confirm('Are you sure you want to sign out?')) return;
@@ -615,9 +1476,115 @@ async function handleSignOut()
 
 async function loadSettings()
 {
-    // This would load all settings from the background script
-    // For now, we'll just show placeholder data
-    console.log('Loading settings...');
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'BLOCKLISTS_GET'
+        });
+
+        if (!response || !response.success) return;
+
+        const lists = response.data;
+
+        // Fall back to the default list when the selected one was deleted
+        const blocklist = lists.find(list => list.id === selectedListId) || lists[0];
+        if (!blocklist) return;
+        selectedListId = blocklist.id || null;
+
+        renderLists(lists);
+
+        renderBlocklistItems('keyword-list', blocklist.keywords, (keyword) =>
+            updateBlocklist('BLOCKLIST_REMOVE_KEYWORD', { keyword, listId: selectedListId }, 'Keyword removed'),
+            (entry) =>
+            {
+                const { leet, exclude, schedule } = BlockRules.normalizeEntry(entry) || {};
+                return [
+                    KeywordMatcher.getMode(entry),
+                    leet && 'leet',
+                    exclude?.length && `except ${exclude.join(', ')}`,
+                    schedule && formatSchedule(schedule)
+                ].filter(Boolean).join(' · ');
+            },
+            (keyword) => setSchedule('keywords', keyword, 'keyword-schedule'));
+
+        renderBlocklistItems('domain-list', blocklist.domains, (domain) =>
+            updateBlocklist('BLOCKLIST_REMOVE_DOMAIN', { domain, listId: selectedListId }, 'Rule removed'),
+            (entry) =>
+            {
+                const { allowance, visitLimit, redirectUrl, challenge, schedule } = BlockRules.normalizeEntry(entry) || {};
+                return [
+                    BlockRules.getRuleType(entry),
+                    BlockRules.getRuleType(entry) === 'domain' && !BlockRules.includesSubdomains(entry) && 'exact',
+                    BlockRules.blocksFrames(entry) && 'embeds',
+                    redirectUrl && `→ ${new URL(redirectUrl).hostname}`,
+                    challenge && `soft: ${challenge}`,
+                    allowance && `${allowance}m/day`,
+                    visitLimit && `${visitLimit} visits/day`,
+                    schedule && formatSchedule(schedule)
+                ].filter(Boolean).join(' · ');
+            },
+            (domain) => setSchedule('domains', domain, 'domain-schedule'));
+
+        renderBlocklistItems('exception-list', blocklist.exceptions, (value) =>
+            updateBlocklist('BLOCKLIST_REMOVE_EXCEPTION', { value, listId: selectedListId }, 'Exception removed'),
+            (entry) => BlockRules.getRuleType(entry));
+
+        renderBlocklistItems('allowlist-list', blocklist.allowlist, (pattern) =>
+            updateBlocklist('BLOCKLIST_REMOVE_ALLOWED', { pattern, listId: selectedListId }, 'Removed from allowlist'));
+
+        renderBlocklistItems('github-list', blocklist.github_urls);
+
+        const settings = await chrome.runtime.sendMessage({
+            type: 'SETTINGS_GET'
+        });
+
+        if (settings && settings.success !== false)
+        {
+            renderSettings(settings);
+        }
+
+        loadRuleBudget();
+    } catch (error)
+    {
+        console.error('Error loading settings:', error);
+    }
+}
+
+async function loadRuleBudget()
+{
+    const ruleBudget = document.getElementById('rule-budget');
+    if (!ruleBudget) return;
+
+    try
+    {
+        const response = await chrome.runtime.sendMessage({
+            type: 'RULES_BUDGET_GET'
+        });
+
+        const budget = response?.success && response.data;
+        if (!budget) return;
+
+        // Redirect rules have the tightest limit, so report against it
+        const { used, limit, remaining } = budget.unsafeDynamic;
+        ruleBudget.textContent = `${used}/${limit}`;
+        ruleBudget.title = `${remaining} rules left, ${budget.regex.remaining} regex rules left, ` +
+            `${budget.session.remaining} session rules left`;
+
+        if (budget.fallback > 0)
+        {
+            ruleBudget.textContent += ` (+${budget.fallback} via fallback)`;
+        }
+
+        // Exceptions without an allow rule do not open anything, so say which ones
+        if (budget.droppedExceptions?.length > 0)
+        {
+            ruleBudget.textContent += `, ${budget.droppedExceptions.length} exceptions not applied`;
+            ruleBudget.title += `\nExceptions not applied: ${budget.droppedExceptions.join(', ')}`;
+        }
+    } catch (error)
+    {
+        console.error('Error loading rule budget:', error);
+    }
 }
 
 async function loadStatistics()
@@ -24,7 +24,8 @@ export class AnalyticsService
             blocksByType: {
                 domain: 0,
                 keyword: 0,
-                github_list: 0
+                github_list: 0,
+                category: 0
             },
             timeSaved: 0,
             uniqueDomains: new Set(),
@@ -247,7 +248,8 @@ export class AnalyticsService
             blocksByType: {
                 domain: 0,
                 keyword: 0,
-                github_list: 0
+                github_list: 0,
+                category: 0
             },
             timeSaved: 0,
             uniqueDomains: new Set(),
@@ -521,7 +523,8 @@ export class AnalyticsService
                 blocksByType: {
                     domain: 0,
                     keyword: 0,
-                    github_list: 0
+                    github_list: 0,
+                    category: 0
                 },
                 topBlockedDomains: {},
                 dailyTrend: []
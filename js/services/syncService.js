@@ -186,37 +186,52 @@ export class SyncService
     }
 
     /**
-     * Sync blocklist
+     * Sync blocklists
+     * Each named list is resolved against the remote list with the same ID
      */
     async syncBlocklist()
     {
         try
         {
-            const localBlocklist = await this.storage.get(CONFIG.CACHE.STORAGE_KEYS.BLOCKLIST);
-            const remoteResult = await supabaseClient.getUserBlocklist();
+            // Read the local lists before fetching, which refreshes the cache
+            const localLists = await supabaseClient.getCachedBlocklists() || [];
+            const remoteResult = await supabaseClient.getUserBlocklists();
 
             if (!remoteResult.success)
             {
                 throw new Error('Failed to fetch remote blocklist');
             }
 
-            const remoteBlocklist = remoteResult.data;
+            const mergedLists = [];
+            let hasChanges = false;
 
-            // Compare and resolve conflicts
-            const resolved = await this.resolveBlocklistConflicts(localBlocklist, remoteBlocklist);
-
-            if (resolved.hasChanges)
+            for (const remoteList of remoteResult.data)
             {
+                // A cache from before named lists has no ID and belongs to the default list
+                const localList = localLists.find(list => list.id === remoteList.id) ||
+                    (mergedLists.length === 0 ? localLists.find(list => !list.id) : null);
+
+                // Compare and resolve conflicts
+                const resolved = await this.resolveBlocklistConflicts(localList, remoteList);
+                let merged = resolved.merged;
+
                 // Update remote if local has changes
-                if (resolved.localChanges)
+                if (resolved.hasChanges && resolved.localChanges)
                 {
-                    await supabaseClient.updateUserBlocklist(resolved.merged);
+                    const updateResult = await supabaseClient.updateUserBlocklist(merged);
+                    if (updateResult.success) merged = updateResult.data;
                 }
 
+                hasChanges = hasChanges || resolved.hasChanges;
+                mergedLists.push(merged);
+            }
+
+            if (hasChanges)
+            {
                 // Update local cache
-                await this.storage.set(CONFIG.CACHE.STORAGE_KEYS.BLOCKLIST, resolved.merged);
+                await supabaseClient.cacheBlocklists(mergedLists);
 
-                this.logger.info('Blocklist synced successfully');
+                this.logger.info('Blocklists synced successfully');
             }
 
             return { success: true };
@@ -263,19 +278,32 @@ export class SyncService
             localChanges = true;
         } else
         {
-            // Merge strategy - combine unique items
+            // Merge strategy - combine unique items by value
+            const combine = (localItems = [], remoteItems = []) =>
+            {
+                const values = new Set(remoteItems.map(item => (typeof item === 'string' ? item : item?.value)));
+                return [
+                    ...remoteItems,
+                    ...localItems.filter(item => !values.has(typeof item === 'string' ? item : item?.value))
+                ];
+            };
+
             merged = {
                 ...remote,
-                keywords: [...new Set([...(local.keywords || []), ...(remote.keywords || [])])],
-                domains: [...new Set([...(local.domains || []), ...(remote.domains || [])])],
-                github_urls: [...new Set([...(local.github_urls || []), ...(remote.github_urls || [])])]
+                keywords: combine(local.keywords, remote.keywords),
+                domains: combine(local.domains, remote.domains),
+                github_urls: combine(local.github_urls, remote.github_urls),
+                allowlist: combine(local.allowlist, remote.allowlist),
+                exceptions: combine(local.exceptions, remote.exceptions)
             };
 
             // Check if local has unique items
             localChanges =
-                merged.keywords.length > remote.keywords.length ||
-                merged.domains.length > remote.domains.length ||
-                merged.github_urls.length > remote.github_urls.length;
+                merged.keywords.length > (remote.keywords || []).length ||
+                merged.domains.length > (remote.domains || []).length ||
+                merged.github_urls.length > (remote.github_urls || []).length ||
+                merged.allowlist.length > (remote.allowlist || []).length ||
+                merged.exceptions.length > (remote.exceptions || []).length;
         }
 
         const hasChanges = JSON.stringify(local) !== JSON.stringify(merged);
@@ -7,6 +7,9 @@
 {
     'use strict';
 
+    // user_blocklists columns added with named lists; tables without them are still supported
+    const OPTIONAL_BLOCKLIST_COLUMNS = ['name', 'allowlist', 'exceptions'];
+
     class SupabaseClient
     {
         constructor()
@@ -179,6 +182,8 @@
                         return CONFIG.CACHE.STORAGE_KEYS.USER;
                     case 'BLOCKLIST':
                         return CONFIG.CACHE.STORAGE_KEYS.BLOCKLIST;
+                    case 'BLOCKLISTS':
+                        return CONFIG.CACHE.STORAGE_KEYS.BLOCKLISTS;
                     case 'DEVICE':
                         return CONFIG.CACHE.STORAGE_KEYS.DEVICE;
                     case 'SETTINGS':
@@ -361,6 +366,7 @@
         {
             try
             {
+                // The optional columns are left out: the name is stored once the row is read back
                 const blocklist = {
                     user_id: userId,
                     keywords: [],
@@ -918,9 +924,133 @@
         }
 
         /**
-         * Get user blocklist from database
+         * Get the name given to the first list of a user
          */
-        async getUserBlocklist()
+        getDefaultListName()
+        {
+            return typeof CONFIG !== 'undefined' ? CONFIG.BLOCKING.LISTS.DEFAULT_NAME : 'My Blocklist';
+        }
+
+        /**
+         * Bring a blocklist row up to the named-list format
+         * Rows created before named lists have no name and are treated as the default list.
+         * Optional columns the row lacks are recorded in `storedColumns` and taken from `local`,
+         * so they are kept on this device instead of being sent to the table
+         */
+        migrateBlocklist(list, index = 0, local = null)
+        {
+            const storedColumns = list.storedColumns ||
+                OPTIONAL_BLOCKLIST_COLUMNS.filter(column => column in list);
+
+            if (local)
+            {
+                const localValues = {};
+                for (const column of OPTIONAL_BLOCKLIST_COLUMNS)
+                {
+                    if (!storedColumns.includes(column) && local[column] !== undefined)
+                    {
+                        localValues[column] = local[column];
+                    }
+                }
+                list = { ...localValues, ...list };
+            }
+
+            return {
+                ...list,
+                storedColumns,
+                name: list.name || (index === 0 ? this.getDefaultListName() : `List ${index + 1}`),
+                keywords: list.keywords || [],
+                domains: list.domains || [],
+                github_urls: list.github_urls || [],
+                allowlist: list.allowlist || [],
+                exceptions: list.exceptions || [],
+                is_active: list.is_active !== false,
+                priority: list.priority || 0
+            };
+        }
+
+        /**
+         * Drop the optional columns a row does not have from a request body
+         */
+        withStoredColumns(body, storedColumns)
+        {
+            const filtered = { ...body };
+            for (const column of OPTIONAL_BLOCKLIST_COLUMNS)
+            {
+                if (!storedColumns.includes(column)) delete filtered[column];
+            }
+            return filtered;
+        }
+
+        /**
+         * Merge the enabled lists into the single blocklist used for blocking
+         * Entries are de-duplicated by value; lists earlier in priority order win
+         */
+        mergeBlocklists(lists)
+        {
+            const merged = {
+                keywords: [],
+                domains: [],
+                github_urls: [],
+                allowlist: [],
+                exceptions: [],
+                updated_at: null
+            };
+            const seen = {};
+
+            for (const list of lists || [])
+            {
+                if (list.is_active === false) continue;
+
+                for (const listType of ['keywords', 'domains', 'github_urls', 'allowlist', 'exceptions'])
+                {
+                    seen[listType] = seen[listType] || new Set();
+
+                    for (const entry of list[listType] || [])
+                    {
+                        const value = typeof entry === 'string' ? entry : entry?.value;
+                        if (!value || seen[listType].has(value)) continue;
+
+                        seen[listType].add(value);
+                        merged[listType].push(entry);
+                    }
+                }
+
+                if (list.updated_at && (!merged.updated_at || list.updated_at > merged.updated_at))
+                {
+                    merged.updated_at = list.updated_at;
+                }
+            }
+
+            return merged;
+        }
+
+        /**
+         * Cache the lists and the merged blocklist
+         */
+        async cacheBlocklists(lists)
+        {
+            await this.storage.set(this.getStorageKey('BLOCKLISTS'), lists);
+            await this.storage.set(this.getStorageKey('BLOCKLIST'), this.mergeBlocklists(lists));
+        }
+
+        /**
+         * Get the cached lists
+         * A cache written before named lists holds a single blocklist, which becomes the default list
+         */
+        async getCachedBlocklists()
+        {
+            const lists = await this.storage.get(this.getStorageKey('BLOCKLISTS'));
+            if (lists) return lists;
+
+            const legacy = await this.storage.get(this.getStorageKey('BLOCKLIST'));
+            return legacy ? [this.migrateBlocklist(legacy)] : null;
+        }
+
+        /**
+         * Get all of the user's named blocklists from database, in priority order
+         */
+        async getUserBlocklists()
         {
             try
             {
@@ -931,13 +1061,18 @@
                 }
 
                 const data = await this.makeRequest(
-                    `/rest/v1/user_blocklists?user_id=eq.${user.id}&select=*`,
+                    `/rest/v1/user_blocklists?user_id=eq.${user.id}&select=*&order=priority.asc,created_at.asc`,
                     { method: 'GET' }
                 );
 
-                let blocklist = data && data.length > 0 ? data[0] : null;
+                const cached = await this.getCachedBlocklists() || [];
+                let lists = (data || []).map((list, index) => this.migrateBlocklist(
+                    list,
+                    index,
+                    cached.find(candidate => candidate.id === list.id)
+                ));
 
-                if (!blocklist)
+                if (lists.length === 0)
                 {
                     // Create default blocklist if none exists
                     const session = await this.getSession();
@@ -945,24 +1080,33 @@
                     {
                         await this.createDefaultBlocklist(user.id, session.access_token);
                     }
-                    blocklist = {
-                        keywords: [],
-                        domains: [],
-                        github_urls: [],
-                        is_active: true
-                    };
+                    lists = [this.migrateBlocklist({})];
+                }
+
+                // Store the name of a migrated single-list row
+                const unnamed = (data || []).filter(list => 'name' in list && !list.name && list.id);
+                for (const list of unnamed)
+                {
+                    const migrated = lists.find(candidate => candidate.id === list.id);
+                    await this.makeRequest(
+                        `/rest/v1/user_blocklists?id=eq.${list.id}`,
+                        {
+                            method: 'PATCH',
+                            body: JSON.stringify({ name: migrated.name })
+                        }
+                    ).catch(error => this.logger.warn('Failed to migrate blocklist name:', error));
                 }
 
                 // Cache locally
-                await this.storage.set(this.getStorageKey('BLOCKLIST'), blocklist);
+                await this.cacheBlocklists(lists);
 
-                return { success: true, data: blocklist };
+                return { success: true, data: lists };
             } catch (error)
             {
-                this.logger.error('Get blocklist error:', error);
+                this.logger.error('Get blocklists error:', error);
 
                 // Fallback to cached version
-                const cached = await this.storage.get(this.getStorageKey('BLOCKLIST'));
+                const cached = await this.getCachedBlocklists();
                 if (cached)
                 {
                     return { success: true, data: cached };
@@ -975,8 +1119,122 @@
             }
         }
 
+        /**
+         * Get user blocklist from database
+         * This is the merged blocklist of all enabled lists
+         */
+        async getUserBlocklist()
+        {
+            const result = await this.getUserBlocklists();
+            if (!result.success)
+            {
+                return result;
+            }
+
+            return { success: true, data: this.mergeBlocklists(result.data) };
+        }
+
+        /**
+         * Create a new named blocklist
+         */
+        async createBlocklist(name)
+        {
+            try
+            {
+                const user = await this.getCurrentUser();
+                if (!user)
+                {
+                    return { success: false, error: 'Not authenticated' };
+                }
+
+                const listsResult = await this.getUserBlocklists();
+                const lists = listsResult.success ? listsResult.data : [];
+
+                const blocklist = {
+                    user_id: user.id,
+                    name,
+                    keywords: [],
+                    domains: [],
+                    github_urls: [],
+                    allowlist: [],
+                    exceptions: [],
+                    is_active: true,
+                    priority: lists.reduce((max, list) => Math.max(max, list.priority + 1), 0),
+                    notes: null
+                };
+
+                // New rows have the same columns as the existing ones
+                const response = await this.makeRequest(
+                    '/rest/v1/user_blocklists',
+                    {
+                        method: 'POST',
+                        body: JSON.stringify(this.withStoredColumns(blocklist, lists[0]?.storedColumns || [])),
+                        headers: {
+                            'Prefer': 'return=representation'
+                        }
+                    }
+                );
+
+                if (response && response.length > 0)
+                {
+                    const list = this.migrateBlocklist(response[0], lists.length, blocklist);
+                    await this.cacheBlocklists([...lists, list]);
+                    this.logger.info('Blocklist created:', name);
+                    return { success: true, data: list };
+                }
+
+                return { success: false, error: 'Failed to create blocklist' };
+            } catch (error)
+            {
+                this.logger.error('Create blocklist error:', error);
+                return {
+                    success: false,
+                    error: this.formatError(error)
+                };
+            }
+        }
+
+        /**
+         * Delete a named blocklist
+         */
+        async deleteBlocklist(listId)
+        {
+            try
+            {
+                const user = await this.getCurrentUser();
+                if (!user)
+                {
+                    return { success: false, error: 'Not authenticated' };
+                }
+
+                await this.makeRequest(
+                    `/rest/v1/user_blocklists?id=eq.${listId}&user_id=eq.${user.id}`,
+                    {
+                        method: 'DELETE',
+                        headers: {
+                            'Prefer': 'return=representation'
+                        }
+                    }
+                );
+
+                const lists = (await this.getCachedBlocklists() || []).filter(list => list.id !== listId);
+                await this.cacheBlocklists(lists);
+
+                this.logger.info('Blocklist deleted:', listId);
+                return { success: true, data: lists };
+            } catch (error)
+            {
+                this.logger.error('Delete blocklist error:', error);
+                return {
+                    success: false,
+                    error: this.formatError(error)
+                };
+            }
+        }
+
         /**
          * Update user blocklist in database
+         * Updates the list with the id in `updates`, or the default list when there is none
          */
         async updateUserBlocklist(updates)
         {
@@ -993,15 +1251,32 @@
                     keywords: updates.keywords || [],
                     domains: updates.domains || [],
                     github_urls: updates.github_urls || [],
+                    allowlist: updates.allowlist || [],
+                    exceptions: updates.exceptions || [],
                     updated_at: new Date().toISOString()
                 };
 
+                if (updates.name) formattedUpdates.name = updates.name;
+
+                let listId = updates.id;
+                let storedColumns = updates.storedColumns;
+                if (!listId || !storedColumns)
+                {
+                    const listsResult = await this.getUserBlocklists();
+                    const lists = listsResult.success ? listsResult.data : [];
+                    const list = listId ? lists.find(candidate => candidate.id === listId) : lists[0];
+                    listId = listId || list?.id || null;
+                    storedColumns = storedColumns || list?.storedColumns || [];
+                }
+
                 // Update existing blocklist
                 const response = await this.makeRequest(
-                    `/rest/v1/user_blocklists?user_id=eq.${user.id}`,
+                    listId
+                        ? `/rest/v1/user_blocklists?id=eq.${listId}&user_id=eq.${user.id}`
+                        : `/rest/v1/user_blocklists?user_id=eq.${user.id}`,
                     {
                         method: 'PATCH',
-                        body: JSON.stringify(formattedUpdates),
+                        body: JSON.stringify(this.withStoredColumns(formattedUpdates, storedColumns)),
                         headers: {
                             'Prefer': 'return=representation'
                         }
@@ -1011,9 +1286,18 @@
                 if (response && response.length > 0)
                 {
                     // Cache locally
-                    await this.storage.set(this.getStorageKey('BLOCKLIST'), response[0]);
+                    const cached = await this.getCachedBlocklists() || [];
+                    const updated = this.migrateBlocklist(response[0], 0, {
+                        ...cached.find(list => list.id === response[0].id),
+                        ...formattedUpdates
+                    });
+                    const lists = cached.some(list => list.id === updated.id)
+                        ? cached.map(list => (list.id === updated.id ? updated : list))
+                        : [updated, ...cached.filter(list => list.id)];
+
+                    await this.cacheBlocklists(lists);
                     this.logger.info('Blocklist updated successfully');
-                    return { success: true, data: response[0] };
+                    return { success: true, data: updated };
                 }
 
                 return { success: false, error: 'Failed to update blocklist' };
@@ -1027,6 +1311,58 @@
             }
         }
 
+        /**
+         * Turn a named blocklist on or off
+         */
+        async setBlocklistActive(listId, isActive)
+        {
+            try
+            {
+                const user = await this.getCurrentUser();
+                if (!user)
+                {
+                    return { success: false, error: 'Not authenticated' };
+                }
+
+                const response = await this.makeRequest(
+                    `/rest/v1/user_blocklists?id=eq.${listId}&user_id=eq.${user.id}`,
+                    {
+                        method: 'PATCH',
+                        body: JSON.stringify({
+                            is_active: isActive,
+                            updated_at: new Date().toISOString()
+                        }),
+                        headers: {
+                            'Prefer': 'return=representation'
+                        }
+                    }
+                );
+
+                if (response && response.length > 0)
+                {
+                    const cached = await this.getCachedBlocklists() || [];
+                    const updated = this.migrateBlocklist(
+                        response[0],
+                        0,
+                        cached.find(list => list.id === response[0].id)
+                    );
+                    const lists = cached.map(list => (list.id === updated.id ? updated : list));
+
+                    await this.cacheBlocklists(lists);
+                    return { success: true, data: updated };
+                }
+
+                return { success: false, error: 'Blocklist not found' };
+            } catch (error)
+            {
+                this.logger.error('Set blocklist active error:', error);
+                return {
+                    success: false,
+                    error: this.formatError(error)
+                };
+            }
+        }
+
         /**
          * Log block event to database
          */
@@ -1082,6 +1418,9 @@
 
                 const today = new Date().toISOString().split('T')[0];
 
+                // Temporary unblocks and redaction overrides are tracked by type but are not blocks
+                const blockIncrement = ['temp_unblock', 'redaction_override'].includes(blockType) ? 0 : 1;
+
                 // First, try to get existing stats for today
                 const existingStats = await this.makeRequest(
                     `/rest/v1/daily_stats?user_id=eq.${user.id}&date=eq.${today}`,
@@ -1100,7 +1439,7 @@
                         {
                             method: 'PATCH',
                             body: JSON.stringify({
-                                total_blocks: current.total_blocks + 1,
+                                total_blocks: current.total_blocks + blockIncrement,
                                 blocks_by_type: blocksByType
                             })
                         }
@@ -1108,7 +1447,7 @@
                 } else
                 {
                     // Create new stats entry
-                    const blocksByType = { keyword: 0, domain: 0, github_list: 0 };
+                    const blocksByType = { keyword: 0, domain: 0, github_list: 0, category: 0, temp_unblock: 0 };
                     blocksByType[blockType] = 1;
 
                     await this.makeRequest('/rest/v1/daily_stats', {
@@ -1116,7 +1455,7 @@
                         body: JSON.stringify({
                             user_id: user.id,
                             date: today,
-                            total_blocks: 1,
+                            total_blocks: blockIncrement,
                             blocks_by_type: blocksByType,
                             top_blocked_domains: [],
                             active_devices_count: 1
@@ -1157,7 +1496,9 @@
                     blocksByType: {
                         domain: 0,
                         keyword: 0,
-                        github_list: 0
+                        github_list: 0,
+                        category: 0,
+                        temp_unblock: 0
                     },
                     streak: 0
                 };
@@ -1199,7 +1540,9 @@
                         blocksByType: {
                             domain: 0,
                             keyword: 0,
-                            github_list: 0
+                            github_list: 0,
+                            category: 0,
+                            temp_unblock: 0
                         }
                     }
                 };
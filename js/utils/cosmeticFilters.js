@@ -0,0 +1,137 @@
+/**
+ * Cosmetic Filters
+ * Per-site CSS selectors that hide distracting parts of a page instead of blocking it
+ */
+
+class CosmeticFilters
+{
+    /**
+     * Built-in filter set
+     * Selectors follow the sites' current markup and are updated with it;
+     * paths limit a filter to exact pages (the front page, not every subreddit)
+     */
+    static get BUILT_IN()
+    {
+        return [
+            {
+                id: 'youtube-recommendations',
+                name: 'YouTube recommendations',
+                domains: ['youtube.com'],
+                selectors: [
+                    'ytd-browse[page-subtype="home"] ytd-rich-grid-renderer',
+                    'ytd-watch-flexy #secondary #related',
+                    'ytd-watch-next-secondary-results-renderer',
+                    'ytd-reel-shelf-renderer',
+                    'ytd-rich-shelf-renderer[is-shorts]',
+                    '.ytp-endscreen-content',
+                    '.ytp-ce-element'
+                ]
+            },
+            {
+                id: 'youtube-comments',
+                name: 'YouTube comments',
+                domains: ['youtube.com'],
+                selectors: ['ytd-comments#comments']
+            },
+            {
+                id: 'twitter-for-you',
+                name: 'Twitter/X "For you" timeline and trends',
+                domains: ['twitter.com', 'x.com'],
+                selectors: [
+                    '[aria-label="Timeline: Your Home Timeline"]',
+                    '[aria-label="Timeline: Trending now"]',
+                    '[data-testid="sidebarColumn"] [aria-label="Who to follow"]'
+                ]
+            },
+            {
+                id: 'reddit-front-page',
+                name: 'Reddit front page',
+                domains: ['reddit.com'],
+                paths: ['/', '/best', '/hot', '/new', '/top', '/rising', '/r/all', '/r/popular'],
+                selectors: [
+                    'shreddit-feed',
+                    '.ListingLayout-outerContainer',
+                    '#siteTable'
+                ]
+            },
+            {
+                id: 'linkedin-feed',
+                name: 'LinkedIn feed',
+                domains: ['linkedin.com'],
+                paths: ['/feed'],
+                selectors: [
+                    '.scaffold-finite-scroll',
+                    '.feed-follows-module',
+                    '.news-module'
+                ]
+            },
+            {
+                id: 'facebook-feed',
+                name: 'Facebook news feed',
+                domains: ['facebook.com'],
+                paths: ['/'],
+                selectors: [
+                    '[role="main"] [role="feed"]',
+                    '[aria-label="Stories"]'
+                ]
+            },
+            {
+                id: 'instagram-feed',
+                name: 'Instagram feed and explore',
+                domains: ['instagram.com'],
+                paths: ['/', '/explore', '/reels'],
+                selectors: ['main[role="main"]']
+            }
+        ];
+    }
+
+    /**
+     * Check if a selector is safe to put in a stylesheet
+     * Braces or comments would let it close the rule and inject other CSS
+     */
+    static isSafeSelector(selector)
+    {
+        const value = String(selector || '').trim();
+        return value.length > 0 &&
+            value.length <= CONFIG.COSMETIC.MAX_SELECTOR_LENGTH &&
+            !/[{}]|\/\*|<\/?style/i.test(value);
+    }
+
+    /**
+     * Get the filters that apply to a hostname
+     * Built-in filters are included when enabled in settings, user filters by their domain
+     */
+    static getFiltersForHost(hostname, settings = {})
+    {
+        const enabled = new Set(settings.cosmeticFilters || []);
+
+        const builtIn = CosmeticFilters.BUILT_IN
+            .filter(filter => enabled.has(filter.id) &&
+                filter.domains.some(domain => Domains.matches(domain, hostname)))
+            .map(({ id, paths, selectors }) => ({ id, paths, selectors }));
+
+        const custom = (settings.customCosmeticFilters || [])
+            .filter(filter => Domains.matches(filter.domain, hostname))
+            .map(filter => ({ id: 'custom', selectors: [filter.selector] }));
+
+        return [...builtIn, ...custom];
+    }
+
+    /**
+     * Check if a filter applies to a path
+     * Filters without paths apply to the whole site; paths match exactly, ignoring a trailing slash
+     */
+    static matchesPath(filter, pathname)
+    {
+        if (!filter.paths || filter.paths.length === 0) return true;
+
+        const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+        return filter.paths.some(candidate => candidate.toLowerCase() === path.toLowerCase());
+    }
+}
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.CosmeticFilters = CosmeticFilters;
+}
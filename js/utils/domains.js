@@ -0,0 +1,152 @@
+/**
+ * Domain Utilities
+ * Shared domain normalization and matching, aware of the public suffix list
+ * The suffix list (publicSuffixList.js) is only loaded by the background worker;
+ * without it every single-label TLD counts as the only public suffix
+ */
+
+class Domains
+{
+    /**
+     * Lowercase a URL hostname and drop a trailing dot and a leading "www."
+     * "www" is treated as the site itself, so example.com and www.example.com are one host
+     */
+    static normalizeHost(hostname)
+    {
+        return String(hostname || '')
+            .toLowerCase()
+            .replace(/\.$/, '')
+            .replace(/^www\./, '');
+    }
+
+    /**
+     * Normalize user input, a URL or a hosts-file line into a blockable domain
+     * Throws if there is no valid domain or the domain is a registry suffix (com, co.uk)
+     */
+    static normalize(input)
+    {
+        // Hosts files put the domain after an address ("0.0.0.0 example.com")
+        const value = String(input || '').trim().split(/\s+/).pop();
+        if (!value) throw new Error('Invalid domain');
+
+        let hostname;
+        try
+        {
+            hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`).hostname;
+        } catch
+        {
+            throw new Error('Invalid domain');
+        }
+
+        const domain = Domains.normalizeHost(hostname);
+        if (!Domains.isValid(domain)) throw new Error('Invalid domain');
+
+        if (Domains.isPublicSuffix(domain, { icannOnly: true }))
+        {
+            throw new Error(`"${domain}" is a public suffix and cannot be blocked on its own`);
+        }
+
+        return domain;
+    }
+
+    /**
+     * Check if a value is a syntactically valid (punycode) domain with at least two labels
+     */
+    static isValid(domain)
+    {
+        return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(domain);
+    }
+
+    /**
+     * Check if a hostname is a domain or, when subdomains are included, one of its subdomains
+     */
+    static matches(domain, hostname, includeSubdomains = true)
+    {
+        const host = Domains.normalizeHost(hostname);
+        return host === domain || (includeSubdomains && host.endsWith('.' + domain));
+    }
+
+    /**
+     * Parse the bundled suffix list into lookup maps (rule -> true when the rule is private)
+     */
+    static getSuffixRules()
+    {
+        if (Domains.suffixRules) return Domains.suffixRules;
+
+        const rules = { exact: new Map(), wildcard: new Map(), exception: new Map() };
+        const list = typeof PUBLIC_SUFFIX_LIST !== 'undefined' ? PUBLIC_SUFFIX_LIST : {};
+
+        for (const [section, isPrivate] of [['icann', false], ['private', true]])
+        {
+            for (const rule of (list[section] || '').split(/\s+/).filter(Boolean))
+            {
+                if (rule.startsWith('!'))
+                {
+                    rules.exception.set(rule.slice(1), isPrivate);
+                } else if (rule.startsWith('*.'))
+                {
+                    rules.wildcard.set(rule.slice(2), isPrivate);
+                } else
+                {
+                    rules.exact.set(rule, isPrivate);
+                }
+            }
+        }
+
+        Domains.suffixRules = rules;
+        return rules;
+    }
+
+    /**
+     * Get the public suffix of a hostname ("co.uk" for "news.bbc.co.uk")
+     * With icannOnly, private suffixes such as "github.io" are ignored
+     */
+    static getPublicSuffix(hostname, options = {})
+    {
+        const labels = Domains.normalizeHost(hostname).split('.');
+        const rules = Domains.getSuffixRules();
+        const applies = (map, key) => map.has(key) && !(options.icannOnly && map.get(key));
+
+        // The first match from the left is the longest; exception rules win over wildcards
+        for (let i = 0; i < labels.length; i++)
+        {
+            const candidate = labels.slice(i).join('.');
+            const parent = labels.slice(i + 1).join('.');
+
+            if (applies(rules.exception, candidate)) return parent;
+            if (applies(rules.exact, candidate) || (parent && applies(rules.wildcard, parent))) return candidate;
+        }
+
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * Check if a hostname is itself a public suffix
+     */
+    static isPublicSuffix(hostname, options = {})
+    {
+        return Domains.getPublicSuffix(hostname, options) === Domains.normalizeHost(hostname);
+    }
+
+    /**
+     * Get the registrable domain of a hostname ("bbc.co.uk" for "news.bbc.co.uk")
+     * Returns null when the hostname is a public suffix
+     */
+    static getRegistrableDomain(hostname)
+    {
+        const host = Domains.normalizeHost(hostname);
+        const suffix = Domains.getPublicSuffix(host);
+        if (host === suffix) return null;
+
+        const labels = host.slice(0, -(suffix.length + 1)).split('.');
+        return `${labels[labels.length - 1]}.${suffix}`;
+    }
+}
+
+Domains.suffixRules = null;
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.Domains = Domains;
+}
@@ -0,0 +1,84 @@
+/**
+ * Feed Redaction
+ * Per-site selectors of the posts and comments that are redacted one by one
+ * when a keyword matches, instead of blocking the whole page
+ */
+
+class FeedRedaction
+{
+    /**
+     * How matching posts are redacted
+     * - blur:     the post stays in place, blurred, below a notice
+     * - collapse: the post is replaced by the notice
+     */
+    static get STYLES()
+    {
+        return ['blur', 'collapse'];
+    }
+
+    /**
+     * Post and comment containers per site
+     * Selectors follow the sites' current markup and are updated with it
+     */
+    static get SITES()
+    {
+        return [
+            {
+                id: 'twitter',
+                domains: ['twitter.com', 'x.com'],
+                selectors: ['article[data-testid="tweet"]']
+            },
+            {
+                id: 'reddit',
+                domains: ['reddit.com'],
+                selectors: ['shreddit-post', 'shreddit-comment', '.thing.link', '.thing.comment']
+            },
+            {
+                id: 'youtube',
+                domains: ['youtube.com'],
+                selectors: [
+                    'ytd-rich-item-renderer',
+                    'ytd-compact-video-renderer',
+                    'ytd-comment-thread-renderer'
+                ]
+            },
+            {
+                id: 'facebook',
+                domains: ['facebook.com'],
+                selectors: ['[role="feed"] [role="article"]']
+            },
+            {
+                id: 'linkedin',
+                domains: ['linkedin.com'],
+                selectors: ['.feed-shared-update-v2', '.comments-comment-entity']
+            },
+            {
+                id: 'bluesky',
+                domains: ['bsky.app'],
+                selectors: ['[data-testid^="feedItem-"]', '[data-testid^="postThreadItem-"]']
+            },
+            {
+                id: 'hacker-news',
+                domains: ['news.ycombinator.com'],
+                selectors: ['.comment-tree .comtr']
+            }
+        ];
+    }
+
+    /**
+     * Get the container selectors for a hostname, or null when the site has none
+     */
+    static getSelectors(hostname)
+    {
+        const site = FeedRedaction.SITES
+            .find(candidate => candidate.domains.some(domain => Domains.matches(domain, hostname)));
+
+        return site ? site.selectors : null;
+    }
+}
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.FeedRedaction = FeedRedaction;
+}
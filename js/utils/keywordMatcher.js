@@ -0,0 +1,233 @@
+/**
+ * Keyword Matcher
+ * Shared keyword matching used by the background worker and content scripts
+ */
+
+class KeywordMatcher
+{
+    /**
+     * Keyword match modes
+     * - word:     every word of the keyword appears as a whole word ("art" does not match "smart")
+     * - phrase:   the words appear together and in order ("game theory")
+     * - contains: the keyword appears anywhere, also inside other words
+     */
+    static get MODES()
+    {
+        return ['word', 'phrase', 'contains'];
+    }
+
+    /**
+     * Letters that Unicode decomposition does not split into a base letter and a mark
+     */
+    static get FOLDS()
+    {
+        return { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i' };
+    }
+
+    /**
+     * Leet-speak substitutions
+     * "l" and "1" both fold to "i" so that "h3ll0" and "he11o" read the same
+     */
+    static get LEET()
+    {
+        return {
+            '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+            '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', 'l': 'i'
+        };
+    }
+
+    /**
+     * Get the match mode of a keyword entry
+     * Defaults to whole words, or to a phrase when the keyword has several words
+     */
+    static getMode(entry)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+        if (KeywordMatcher.MODES.includes(normalized?.mode)) return normalized.mode;
+
+        return KeywordMatcher.tokenize(normalized?.value || '').length > 1 ? 'phrase' : 'word';
+    }
+
+    /**
+     * Lowercase text, strip diacritics and fold compatibility characters
+     */
+    static normalize(text)
+    {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/\p{M}+/gu, '')
+            .toLowerCase()
+            .replace(/[ßæœøđłþı]/g, char => KeywordMatcher.FOLDS[char]);
+    }
+
+    /**
+     * Split text into normalized words
+     * With leet folding, symbols inside words and digits in words that have letters are replaced
+     */
+    static tokenize(text, options = {})
+    {
+        let normalized = KeywordMatcher.normalize(text);
+
+        if (options.leet)
+        {
+            // "@" and "$" next to a letter are letters ("p@$$"); "!", "|" and "+" only inside a word
+            normalized = normalized
+                .replace(/[@$]+(?=\p{L})|(?<=\p{L})[@$]+/gu, run => run.replace(/./g, char => KeywordMatcher.LEET[char]))
+                .replace(/(?<=[\p{L}\p{N}])[!|+](?=[\p{L}\p{N}])/gu, char => KeywordMatcher.LEET[char]);
+        }
+
+        const words = normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (!options.leet) return words;
+
+        return words.map(word => (/\p{L}/u.test(word)
+            ? word.replace(/[0134578l]/g, char => KeywordMatcher.LEET[char])
+            : word));
+    }
+
+    /**
+     * Prepare text for matching against many keywords
+     * The word list is built once per leet setting and shared by every keyword
+     */
+    static prepare(text)
+    {
+        if (text && typeof text.get === 'function') return text;
+
+        const forms = {};
+        return {
+            get(leet)
+            {
+                const key = leet ? 'leet' : 'plain';
+                if (forms[key] === undefined)
+                {
+                    forms[key] = ` ${KeywordMatcher.tokenize(text, { leet }).join(' ')} `;
+                }
+                return forms[key];
+            }
+        };
+    }
+
+    /**
+     * Get the string the keyword automaton should search for
+     * Any match of the entry contains it, so it can be used to prefilter candidates
+     */
+    static getSearchKey(entry)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+        const words = KeywordMatcher.tokenize(normalized.value, { leet: normalized.leet });
+
+        if (KeywordMatcher.getMode(normalized) === 'word')
+        {
+            return words.reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+        }
+
+        return words.join(' ');
+    }
+
+    /**
+     * Check if a keyword entry matches text
+     * Matches that fall inside one of the entry's exclusion phrases do not count
+     */
+    static matches(entry, text)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+        if (!normalized) return false;
+
+        const leet = Boolean(normalized.leet);
+        const haystack = KeywordMatcher.prepare(text).get(leet);
+        const words = KeywordMatcher.tokenize(normalized.value, { leet });
+        if (words.length === 0) return false;
+
+        const excluded = KeywordMatcher.getExcludedRanges(normalized, haystack);
+        const hasMatch = (needle) => KeywordMatcher.findAll(haystack, needle).some(start =>
+            !excluded.some(([from, to]) => start >= from && start + needle.length <= to));
+
+        switch (KeywordMatcher.getMode(normalized))
+        {
+            case 'contains':
+                return hasMatch(words.join(' '));
+
+            case 'phrase':
+                return hasMatch(` ${words.join(' ')} `);
+
+            default:
+                return words.every(word => hasMatch(` ${word} `));
+        }
+    }
+
+    /**
+     * Count the occurrences of a keyword entry in text
+     * For several words matched separately, the rarest word's count is used
+     */
+    static count(entry, text)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+        if (!normalized) return 0;
+
+        const leet = Boolean(normalized.leet);
+        const haystack = KeywordMatcher.prepare(text).get(leet);
+        const words = KeywordMatcher.tokenize(normalized.value, { leet });
+        if (words.length === 0) return 0;
+
+        const excluded = KeywordMatcher.getExcludedRanges(normalized, haystack);
+        const occurrences = (needle) => KeywordMatcher.findAll(haystack, needle).filter(start =>
+            !excluded.some(([from, to]) => start >= from && start + needle.length <= to)).length;
+
+        switch (KeywordMatcher.getMode(normalized))
+        {
+            case 'contains':
+                return occurrences(words.join(' '));
+
+            case 'phrase':
+                return occurrences(` ${words.join(' ')} `);
+
+            default:
+                return Math.min(...words.map(word => occurrences(` ${word} `)));
+        }
+    }
+
+    /**
+     * Get the [start, end) ranges of a prepared haystack covered by the entry's exclusion phrases
+     */
+    static getExcludedRanges(entry, haystack)
+    {
+        const leet = Boolean(entry.leet);
+
+        return (entry.exclude || [])
+            .map(phrase => KeywordMatcher.tokenize(phrase, { leet }).join(' '))
+            .filter(Boolean)
+            .flatMap(phrase => KeywordMatcher.findAll(haystack, ` ${phrase} `)
+                .map(start => [start, start + phrase.length + 2]));
+    }
+
+    /**
+     * Find the first keyword entry that matches text
+     */
+    static findMatch(entries, text)
+    {
+        const prepared = KeywordMatcher.prepare(text);
+        return (entries || []).find(entry => KeywordMatcher.matches(entry, prepared)) || null;
+    }
+
+    /**
+     * Get the start of every (possibly overlapping) occurrence of a needle
+     */
+    static findAll(haystack, needle)
+    {
+        const positions = [];
+        let index = haystack.indexOf(needle);
+
+        while (index !== -1)
+        {
+            positions.push(index);
+            index = haystack.indexOf(needle, index + 1);
+        }
+
+        return positions;
+    }
+}
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.KeywordMatcher = KeywordMatcher;
+}
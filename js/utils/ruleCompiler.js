@@ -0,0 +1,436 @@
+/**
+ * Rule Compiler
+ * Compiles a blocklist into declarativeNetRequest rules within Chrome's rule budget
+ */
+
+class RuleCompiler
+{
+    constructor(options = {})
+    {
+        this.blockedPageUrl = options.blockedPageUrl || chrome.runtime.getURL('blocked.html');
+        this.domainsPerRule = options.domainsPerRule || CONFIG.BLOCKING.DOMAINS_PER_RULE;
+        this.limits = { ...RuleCompiler.getLimits(), ...options.limits };
+    }
+
+    /**
+     * Get the rule limits of the running browser
+     * Redirect and header rules count as "unsafe" and have a lower limit
+     */
+    static getLimits()
+    {
+        const dnr = typeof chrome !== 'undefined' ? chrome.declarativeNetRequest || {} : {};
+        const dynamic = dnr.MAX_NUMBER_OF_DYNAMIC_RULES ||
+            dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES ||
+            CONFIG.BLOCKING.MAX_RULES;
+
+        return {
+            dynamic,
+            unsafeDynamic: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES || Math.min(dynamic, 5000),
+            session: dnr.MAX_NUMBER_OF_SESSION_RULES || 5000,
+            regex: dnr.MAX_NUMBER_OF_REGEX_RULES || 1000
+        };
+    }
+
+    /**
+     * Compile a blocklist into dynamic rules
+     * Returns the rules that fit (without IDs, see getRuleKey), the entries
+     * left for the onBeforeNavigate fallback, the exceptions that could not be
+     * compiled (the fallback cannot undo a block rule's redirect) and the budget used
+     *
+     * Options:
+     * - date: time used to evaluate entry schedules
+     * - unsupportedRegex: regex values Chrome rejected via isRegexSupported
+     */
+    compile(blocklist, settings = {}, options = {})
+    {
+        const date = options.date || new Date();
+        const unsupportedRegex = options.unsupportedRegex || new Set();
+
+        // SafeSearch has no fallback, so it goes first; exceptions follow because
+        // a block rule that overflows to the fallback is still checked against
+        // them, but a dropped allow rule is not
+        const candidates = [
+            ...this.compileSafeSearch(settings, blocklist, date),
+            ...this.compileExceptions(blocklist, date, unsupportedRegex),
+            ...this.compileWhitelist(blocklist, settings, date),
+            ...this.compileBlockRules(blocklist, date, unsupportedRegex),
+            ...this.compileFrameRules(blocklist, date, unsupportedRegex)
+        ];
+
+        const rules = [];
+        const overflow = [];
+        const droppedExceptions = [];
+        const used = { dynamic: 0, unsafeDynamic: 0, regex: 0 };
+
+        for (const candidate of candidates)
+        {
+            if (!candidate.rule)
+            {
+                overflow.push(...candidate.entries);
+                if (candidate.exception) droppedExceptions.push(candidate.exception);
+                continue;
+            }
+
+            const isUnsafe = ['redirect', 'modifyHeaders'].includes(candidate.rule.action.type);
+            const isRegex = Boolean(candidate.rule.condition.regexFilter);
+
+            const fits = used.dynamic < this.limits.dynamic &&
+                (!isUnsafe || used.unsafeDynamic < this.limits.unsafeDynamic) &&
+                (!isRegex || used.regex < this.limits.regex);
+
+            if (!fits)
+            {
+                overflow.push(...candidate.entries);
+                if (candidate.exception) droppedExceptions.push(candidate.exception);
+                continue;
+            }
+
+            used.dynamic++;
+            if (isUnsafe) used.unsafeDynamic++;
+            if (isRegex) used.regex++;
+
+            rules.push(candidate.rule);
+        }
+
+        return {
+            rules,
+            overflow,
+            droppedExceptions,
+            budget: this.getBudget(used)
+        };
+    }
+
+    /**
+     * Get a stable identity for a rule
+     * Identical rules get the same key, so unchanged rules keep their IDs
+     */
+    static getRuleKey(rule)
+    {
+        const { id, ...content } = rule;
+        return RuleCompiler.hash(JSON.stringify(content));
+    }
+
+    /**
+     * 53-bit string hash (cyrb53)
+     */
+    static hash(str)
+    {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < str.length; i++)
+        {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Check if a value can be used in requestDomains
+     */
+    static isValidDomain(domain)
+    {
+        return Domains.isValid(domain);
+    }
+
+    /**
+     * Build the budget report for the popup
+     */
+    getBudget(used, sessionUsed = 0)
+    {
+        const report = (count, limit) => ({ used: count, limit, remaining: Math.max(limit - count, 0) });
+
+        return {
+            dynamic: report(used.dynamic, this.limits.dynamic),
+            unsafeDynamic: report(used.unsafeDynamic, this.limits.unsafeDynamic),
+            regex: report(used.regex, this.limits.regex),
+            session: report(sessionUsed, this.limits.session)
+        };
+    }
+
+    /**
+     * Whitelist mode: a catch-all block with allowlist exceptions at a higher priority
+     */
+    compileWhitelist(blocklist, settings, date)
+    {
+        if (!settings.whitelistMode) return [];
+
+        const candidates = [{
+            entries: [],
+            rule: {
+                priority: CONFIG.BLOCKING.RULE_PRIORITY.BLOCK,
+                action: this.redirectAction('Site not in allowlist'),
+                condition: {
+                    urlFilter: '|http',
+                    resourceTypes: ['main_frame']
+                }
+            }
+        }];
+
+        for (const entry of BlockRules.getActiveEntries(blocklist.allowlist, date))
+        {
+            const { host, path } = BlockRules.parseUrlPattern(entry.value);
+            candidates.push({
+                entries: [],
+                rule: {
+                    priority: CONFIG.BLOCKING.RULE_PRIORITY.ALLOWLIST,
+                    action: { type: 'allow' },
+                    condition: {
+                        urlFilter: path ? `||${host}${path}` : `||${host}^`,
+                        resourceTypes: ['main_frame']
+                    }
+                }
+            });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Forced SafeSearch: search requests are redirected to the same URL with the engine's
+     * SafeSearch parameter (Chrome skips the redirect once the parameter is set) and
+     * YouTube requests carry the Restricted Mode header
+     * The redirects outrank temporary unblocks, and so every block rule too; they leave out
+     * the hosts the user blocks (in whitelist mode: all but allowlisted hosts), which
+     * therefore go to the block page instead
+     */
+    compileSafeSearch(settings, blocklist = {}, date = new Date())
+    {
+        if (!settings.safeSearch) return [];
+
+        const { ENGINES, YOUTUBE_DOMAINS, YOUTUBE_HEADER } = CONFIG.BLOCKING.SAFE_SEARCH;
+        const priority = CONFIG.BLOCKING.RULE_PRIORITY.SAFE_SEARCH;
+
+        // Domain and path rules name their host; wildcard and regex rules are left to the fallback
+        const hostsOf = (entries, withPaths) => [...new Set(BlockRules.getActiveEntries(entries, date)
+            .filter(entry => ['domain', 'path'].includes(BlockRules.getRuleType(entry)))
+            .map(entry => BlockRules.parseUrlPattern(entry.value))
+            .filter(({ path }) => withPaths || !path)
+            .map(({ host }) => host)
+            .filter(host => RuleCompiler.isValidDomain(host)))];
+
+        let engines = ENGINES;
+        const hostCondition = {};
+        if (settings.whitelistMode)
+        {
+            const allowed = hostsOf(blocklist.allowlist, false);
+            if (allowed.length === 0) engines = [];
+            hostCondition.requestDomains = allowed;
+        } else
+        {
+            const blocked = hostsOf(blocklist.domains, true);
+            if (blocked.length > 0) hostCondition.excludedRequestDomains = blocked;
+        }
+
+        const candidates = engines.map(engine => ({
+            entries: [],
+            rule: {
+                priority,
+                action: {
+                    type: 'redirect',
+                    redirect: {
+                        transform: {
+                            queryTransform: {
+                                addOrReplaceParams: Object.entries(engine.params).map(([key, value]) => ({ key, value }))
+                            }
+                        }
+                    }
+                },
+                condition: {
+                    urlFilter: engine.urlFilter,
+                    ...hostCondition,
+                    resourceTypes: ['main_frame', 'sub_frame']
+                }
+            }
+        }));
+
+        candidates.push({
+            entries: [],
+            rule: {
+                priority,
+                action: {
+                    type: 'modifyHeaders',
+                    requestHeaders: [{ header: YOUTUBE_HEADER.name, operation: 'set', value: YOUTUBE_HEADER.value }]
+                },
+                condition: {
+                    requestDomains: YOUTUBE_DOMAINS,
+                    resourceTypes: ['main_frame', 'sub_frame', 'xmlhttprequest']
+                }
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Exceptions compile to allow rules above every block rule, so the rest of the
+     * blocked site keeps redirecting while the exception stays reachable
+     * They cover embedded frames too, like the content script's frame check
+     * Exceptions Chrome cannot compile are reported as dropped
+     */
+    compileExceptions(blocklist, date, unsupportedRegex)
+    {
+        return BlockRules.getActiveEntries(blocklist.exceptions, date)
+            .map(entry => ({
+                entries: [],
+                exception: entry,
+                rule: unsupportedRegex.has(entry.value) ? null : {
+                    priority: CONFIG.BLOCKING.RULE_PRIORITY.EXCEPTION,
+                    action: { type: 'allow' },
+                    condition: {
+                        ...BlockRules.toRuleCondition(entry),
+                        resourceTypes: ['main_frame', 'sub_frame']
+                    }
+                }
+            }));
+    }
+
+    /**
+     * Domain entries are grouped into requestDomains rules, other rule types get one rule each
+     */
+    compileBlockRules(blocklist, date, unsupportedRegex)
+    {
+        const entries = BlockRules.getActiveEntries(blocklist.domains, date);
+
+        // Domains with a reached daily limit or a challenge get their own rule so the block page
+        // can say why, domains without their subdomains need a regexFilter and redirects have
+        // their own target
+        const isGrouped = (entry) => BlockRules.getRuleType(entry) === 'domain' &&
+            BlockRules.includesSubdomains(entry) && !BlockRules.hasDailyLimit(entry) &&
+            !entry.redirectUrl && !entry.challenge;
+        const domainEntries = entries.filter(isGrouped);
+        const otherEntries = entries.filter(entry => !isGrouped(entry));
+        const candidates = [];
+
+        // One malformed domain would make Chrome reject the whole update,
+        // so those are left to the onBeforeNavigate fallback
+        const validDomains = domainEntries.filter(entry => RuleCompiler.isValidDomain(entry.value));
+        const invalidDomains = domainEntries.filter(entry => !RuleCompiler.isValidDomain(entry.value));
+        if (invalidDomains.length > 0)
+        {
+            candidates.push({ entries: invalidDomains, rule: null });
+        }
+
+        for (const group of this.groupDomains(validDomains))
+        {
+            const reason = group.length === 1 ? BlockRules.describeRule(group[0]) : 'Domain blocked';
+
+            candidates.push({
+                entries: group,
+                rule: {
+                    priority: CONFIG.BLOCKING.RULE_PRIORITY.BLOCK,
+                    action: this.redirectAction(reason),
+                    condition: {
+                        requestDomains: group.map(entry => entry.value),
+                        resourceTypes: ['main_frame']
+                    }
+                }
+            });
+        }
+
+        // Regex rules go last so they cannot crowd out cheaper rules
+        const isRegex = (entry) => Boolean(BlockRules.toRuleCondition(entry).regexFilter);
+        otherEntries.sort((a, b) => isRegex(a) - isRegex(b));
+
+        for (const entry of otherEntries)
+        {
+            if (unsupportedRegex.has(entry.value))
+            {
+                candidates.push({ entries: [entry], rule: null });
+                continue;
+            }
+
+            candidates.push({
+                entries: [entry],
+                rule: {
+                    priority: CONFIG.BLOCKING.RULE_PRIORITY.BLOCK,
+                    action: entry.redirectUrl
+                        ? { type: 'redirect', redirect: { url: entry.redirectUrl } }
+                        : this.redirectAction(BlockRules.describeRule(entry)),
+                    condition: {
+                        ...BlockRules.toRuleCondition(entry),
+                        resourceTypes: ['main_frame']
+                    }
+                }
+            });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Entries with blockFrames also block their pages embedded in other sites
+     * A frame cannot show the block page, so these rules block the request and
+     * the content script puts a placeholder in place of the frame
+     */
+    compileFrameRules(blocklist, date, unsupportedRegex)
+    {
+        const entries = BlockRules.getActiveEntries(blocklist.domains, date)
+            .filter(entry => BlockRules.blocksFrames(entry) && !unsupportedRegex.has(entry.value));
+
+        const isGrouped = (entry) => BlockRules.getRuleType(entry) === 'domain' &&
+            BlockRules.includesSubdomains(entry) && RuleCompiler.isValidDomain(entry.value);
+        const frameRule = (condition) => ({
+            entries: [],
+            rule: {
+                priority: CONFIG.BLOCKING.RULE_PRIORITY.BLOCK,
+                action: { type: 'block' },
+                condition: { ...condition, resourceTypes: ['sub_frame'] }
+            }
+        });
+
+        return [
+            ...this.groupDomains(entries.filter(isGrouped))
+                .map(group => frameRule({ requestDomains: group.map(entry => entry.value) })),
+            ...entries.filter(entry => !isGrouped(entry))
+                .map(entry => frameRule(BlockRules.toRuleCondition(entry)))
+        ];
+    }
+
+    /**
+     * Split domain entries into hash buckets
+     * A domain always lands in the same bucket, so adding or removing one
+     * only changes that bucket's rule. The bucket count is a power of two
+     * and only changes when the list doubles or halves in size.
+     */
+    groupDomains(entries)
+    {
+        if (entries.length === 0) return [];
+
+        let bucketCount = 1;
+        while (bucketCount * this.domainsPerRule < entries.length)
+        {
+            bucketCount *= 2;
+        }
+
+        const buckets = Array.from({ length: bucketCount }, () => []);
+        for (const entry of entries)
+        {
+            buckets[parseInt(RuleCompiler.hash(entry.value), 36) % bucketCount].push(entry);
+        }
+
+        // Keep domains sorted so a bucket's rule does not change with list order
+        return buckets
+            .filter(bucket => bucket.length > 0)
+            .map(bucket => bucket.sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)));
+    }
+
+    /**
+     * Redirect action to the block page
+     */
+    redirectAction(reason)
+    {
+        return {
+            type: 'redirect',
+            redirect: {
+                url: `${this.blockedPageUrl}?reason=${encodeURIComponent(reason)}`
+            }
+        };
+    }
+}
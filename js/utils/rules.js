@@ -0,0 +1,520 @@
+/**
+ * Blocklist Rule Utilities
+ * Shared entry model used by the background worker and content scripts
+ */
+
+class BlockRules
+{
+    /**
+     * URL rule types for domain list entries
+     * - domain:   reddit.com           (the site and, unless includeSubdomains is false, its subdomains)
+     * - path:     reddit.com/r/all     (a path prefix on the site)
+     * - wildcard: youtube.com/shorts/* (* matches any characters)
+     * - regex:    /^https:\/\/.*\?v=/  (compiled to a DNR regexFilter)
+     */
+    static get RULE_TYPES()
+    {
+        return ['domain', 'path', 'wildcard', 'regex'];
+    }
+
+    /**
+     * Challenges of soft-block entries, shown on the block page before access is granted
+     * - countdown: wait out a timer
+     * - phrase:    type a generated phrase exactly
+     * - intention: answer "what are you here for?"
+     */
+    static get CHALLENGES()
+    {
+        return ['countdown', 'phrase', 'intention'];
+    }
+
+    /**
+     * Normalize a blocklist entry
+     * Legacy entries are plain strings, newer ones are objects with a value
+     */
+    static normalizeEntry(entry)
+    {
+        if (typeof entry === 'string')
+        {
+            return { value: entry };
+        }
+
+        return entry && typeof entry.value === 'string' ? entry : null;
+    }
+
+    /**
+     * Get the value of an entry
+     */
+    static getValue(entry)
+    {
+        return typeof entry === 'string' ? entry : entry?.value;
+    }
+
+    /**
+     * Check if a list of entries contains a value
+     */
+    static hasValue(entries, value)
+    {
+        return (entries || []).some(entry => BlockRules.getValue(entry) === value);
+    }
+
+    /**
+     * Get normalized entries that are active at the given time
+     */
+    static getActiveEntries(entries, date = new Date())
+    {
+        return (entries || [])
+            .map(entry => BlockRules.normalizeEntry(entry))
+            .filter(entry => entry && BlockRules.isEntryActive(entry, date));
+    }
+
+    /**
+     * Check if an entry is active at the given time
+     */
+    static isEntryActive(entry, date = new Date())
+    {
+        if (!entry?.schedule) return true;
+        return BlockRules.isScheduleActive(entry.schedule, date);
+    }
+
+    /**
+     * Get schedule windows
+     * A schedule is a single window or an array of windows:
+     * { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:30' }
+     * Days use Date#getDay numbering (0 = Sunday). A window whose end is
+     * not after its start runs past midnight into the following day.
+     */
+    static getScheduleWindows(schedule)
+    {
+        const windows = Array.isArray(schedule) ? schedule : [schedule];
+
+        return windows
+            .filter(range => range && range.start && range.end)
+            .map(range => ({
+                days: Array.isArray(range.days) && range.days.length > 0
+                    ? range.days
+                    : [0, 1, 2, 3, 4, 5, 6],
+                start: BlockRules.parseTime(range.start),
+                end: BlockRules.parseTime(range.end)
+            }))
+            .filter(range => range.start !== null && range.end !== null);
+    }
+
+    /**
+     * Check that every window of a schedule has a valid start, end and days
+     * Days are optional (every day) but must be Date#getDay numbers when given
+     */
+    static isValidSchedule(schedule)
+    {
+        const windows = Array.isArray(schedule) ? schedule : [schedule];
+
+        return windows.length > 0 && windows.every(range =>
+            range && typeof range === 'object' &&
+            BlockRules.parseTime(range.start) !== null &&
+            BlockRules.parseTime(range.end) !== null &&
+            (range.days === undefined || (Array.isArray(range.days) &&
+                range.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)))
+        );
+    }
+
+    /**
+     * Parse "HH:MM" into minutes since midnight
+     * "24:00" is the only time past 23:59, for windows that run to the end of the day
+     */
+    static parseTime(time)
+    {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+        if (!match) return null;
+
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (minutes >= 60 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Check if a schedule is active at the given time
+     */
+    static isScheduleActive(schedule, date = new Date())
+    {
+        const windows = BlockRules.getScheduleWindows(schedule);
+        if (windows.length === 0) return true;
+
+        const day = date.getDay();
+        const yesterday = (day + 6) % 7;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        return windows.some(range =>
+        {
+            if (range.end > range.start)
+            {
+                return range.days.includes(day) &&
+                    minutes >= range.start && minutes < range.end;
+            }
+
+            // Overnight window
+            return (range.days.includes(day) && minutes >= range.start) ||
+                (range.days.includes(yesterday) && minutes < range.end);
+        });
+    }
+
+    /**
+     * Get the next time a schedule switches on or off
+     */
+    static getNextScheduleChange(schedule, date = new Date())
+    {
+        const windows = BlockRules.getScheduleWindows(schedule);
+        let next = null;
+
+        // Look one full week ahead, plus the day before for overnight windows
+        for (let offset = -1; offset <= 7; offset++)
+        {
+            const dayStart = new Date(date);
+            dayStart.setHours(0, 0, 0, 0);
+            dayStart.setDate(dayStart.getDate() + offset);
+
+            for (const range of windows)
+            {
+                if (!range.days.includes(dayStart.getDay())) continue;
+
+                const endOffset = range.end > range.start ? range.end : range.end + 24 * 60;
+                const boundaries = [range.start, endOffset].map(minutes =>
+                {
+                    const boundary = new Date(dayStart);
+                    boundary.setMinutes(minutes);
+                    return boundary.getTime();
+                });
+
+                for (const boundary of boundaries)
+                {
+                    if (boundary > date.getTime() && (next === null || boundary < next))
+                    {
+                        next = boundary;
+                    }
+                }
+            }
+        }
+
+        return next;
+    }
+
+    /**
+     * Get the local calendar day of a date as "YYYY-MM-DD"
+     * Daily allowances and counters reset when this changes
+     */
+    static getDayKey(date = new Date())
+    {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Get the next local midnight after a date
+     */
+    static getNextMidnight(date = new Date())
+    {
+        const midnight = new Date(date);
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime();
+    }
+
+    /**
+     * Check if an entry has a daily time allowance or visit limit
+     */
+    static hasDailyLimit(entry)
+    {
+        return entry?.allowance > 0 || entry?.visitLimit > 0;
+    }
+
+    /**
+     * Check if an entry has used up its daily time allowance or visit limit
+     * Usage is { seconds: { [value]: n }, visits: { [value]: n } } for the current day
+     */
+    static isDailyLimitReached(entry, usage)
+    {
+        const seconds = usage?.seconds?.[entry.value] || 0;
+        const visits = usage?.visits?.[entry.value] || 0;
+
+        return (entry.allowance > 0 && seconds >= entry.allowance * 60) ||
+            (entry.visitLimit > 0 && visits > entry.visitLimit);
+    }
+
+    /**
+     * Split a "host/path" pattern into its host and path prefix
+     */
+    static parseUrlPattern(pattern)
+    {
+        const value = String(pattern).trim().toLowerCase()
+            .replace(/^(https?:\/\/)?(www\.)?/, '');
+        const slash = value.indexOf('/');
+
+        return {
+            host: slash === -1 ? value : value.slice(0, slash),
+            path: slash === -1 ? '' : value.slice(slash)
+        };
+    }
+
+    /**
+     * Check if a URL matches a "host/path" pattern
+     * The host also matches its subdomains, the path is a prefix
+     * A path with a query ("youtube.com/playlist?list=...") is matched against the query too
+     */
+    static matchesUrlPattern(pattern, url)
+    {
+        try
+        {
+            const urlObj = url instanceof URL ? url : new URL(url);
+            const hostname = urlObj.hostname.toLowerCase();
+            const { host, path } = BlockRules.parseUrlPattern(pattern);
+
+            if (!host) return false;
+            if (hostname !== host && !hostname.endsWith('.' + host)) return false;
+
+            const target = path.includes('?') ? urlObj.pathname + urlObj.search : urlObj.pathname;
+            return !path || target.toLowerCase().startsWith(path);
+        } catch
+        {
+            return false;
+        }
+    }
+
+    /**
+     * Get the rule type of a domain list entry
+     */
+    static getRuleType(entry)
+    {
+        return (typeof entry === 'object' && entry?.type) || 'domain';
+    }
+
+    /**
+     * Check if a domain entry also covers subdomains (the default)
+     */
+    static includesSubdomains(entry)
+    {
+        return BlockRules.normalizeEntry(entry)?.includeSubdomains !== false;
+    }
+
+    /**
+     * Check if an entry also blocks the site when it is embedded in other pages (sub_frame)
+     */
+    static blocksFrames(entry)
+    {
+        return BlockRules.normalizeEntry(entry)?.blockFrames === true;
+    }
+
+    /**
+     * Normalize the destination of a redirect rule
+     * Throws unless the input is an http(s) URL
+     */
+    static normalizeRedirectUrl(input)
+    {
+        let url;
+        try
+        {
+            url = new URL(String(input || '').trim());
+        } catch
+        {
+            throw new Error('Invalid redirect URL');
+        }
+
+        if (!/^https?:$/.test(url.protocol)) throw new Error('Redirect URL must start with http:// or https://');
+        return url.href;
+    }
+
+    /**
+     * Guess the rule type from user input
+     */
+    static detectRuleType(input)
+    {
+        const value = String(input).trim();
+
+        if (/^\/.+\/$/.test(value)) return 'regex';
+        if (value.includes('*')) return 'wildcard';
+
+        const { path } = BlockRules.parseUrlPattern(value);
+        return path && path !== '/' ? 'path' : 'domain';
+    }
+
+    /**
+     * Normalize user input into a rule value of the given type
+     * Throws if the input is not valid for the type
+     */
+    static normalizeRuleValue(type, input)
+    {
+        const value = String(input || '').trim();
+
+        switch (type)
+        {
+            case 'domain':
+                return Domains.normalize(value);
+
+            case 'path':
+            {
+                const { host, path } = BlockRules.parseUrlPattern(value);
+                if (!host.includes('.') || !path) throw new Error('Invalid path rule');
+                return host + path;
+            }
+
+            case 'wildcard':
+            {
+                const pattern = value.replace(/^(https?:\/\/)?(www\.)?/i, '');
+                if (!pattern.replace(/\*/g, '')) throw new Error('Invalid wildcard rule');
+                return pattern.toLowerCase();
+            }
+
+            case 'regex':
+            {
+                const pattern = value.replace(/^\/(.+)\/$/, '$1');
+                new RegExp(pattern); // Throws on invalid syntax
+                return pattern;
+            }
+
+            default:
+                throw new Error(`Unknown rule type: ${type}`);
+        }
+    }
+
+    /**
+     * Compile a wildcard pattern to a regular expression
+     * Mirrors DNR "||pattern" semantics: anchored at the host or a subdomain
+     */
+    static wildcardToRegExp(pattern)
+    {
+        const escaped = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        return new RegExp(`^[a-z][a-z0-9+.-]*:\\/\\/([^/?#]*\\.)?${escaped}`, 'i');
+    }
+
+    /**
+     * Check if a URL matches a domain list entry
+     */
+    static matchesRule(entry, url)
+    {
+        try
+        {
+            const normalized = BlockRules.normalizeEntry(entry);
+            if (!normalized) return false;
+
+            const urlObj = url instanceof URL ? url : new URL(url);
+
+            switch (BlockRules.getRuleType(normalized))
+            {
+                case 'domain':
+                    return Domains.matches(normalized.value, urlObj.hostname, BlockRules.includesSubdomains(normalized));
+
+                case 'path':
+                    return BlockRules.matchesUrlPattern(normalized.value, urlObj);
+
+                case 'wildcard':
+                    return BlockRules.wildcardToRegExp(normalized.value).test(urlObj.href);
+
+                case 'regex':
+                    return new RegExp(normalized.value, 'i').test(urlObj.href);
+
+                default:
+                    return false;
+            }
+        } catch
+        {
+            return false;
+        }
+    }
+
+    /**
+     * Get the DNR condition for a domain list entry
+     */
+    static toRuleCondition(entry)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+
+        switch (BlockRules.getRuleType(normalized))
+        {
+            case 'path':
+            case 'wildcard':
+                return { urlFilter: `||${normalized.value}` };
+
+            case 'regex':
+                return { regexFilter: normalized.value };
+
+            default:
+                // "||" always includes subdomains, so the exact host needs an anchored regex
+                if (!BlockRules.includesSubdomains(normalized))
+                {
+                    const host = normalized.value.replace(/\./g, '\\.');
+                    return { regexFilter: `^https?://(www\\.)?${host}(:[0-9]+)?/` };
+                }
+
+                return { urlFilter: `||${normalized.value}^` };
+        }
+    }
+
+    /**
+     * Describe why an entry blocks a page
+     */
+    static describeRule(entry)
+    {
+        const normalized = BlockRules.normalizeEntry(entry);
+
+        if (normalized.redirectUrl)
+        {
+            return `Redirected: ${normalized.value} to ${normalized.redirectUrl}`;
+        }
+
+        if (normalized.challenge)
+        {
+            return `Soft block: ${normalized.value} opens after a ${normalized.challenge} challenge`;
+        }
+
+        // Entries with a daily limit only block once it is used up
+        if (normalized.allowance && normalized.visitLimit)
+        {
+            return `Daily limit reached: ${normalized.value}`;
+        }
+
+        if (normalized.allowance)
+        {
+            return `Daily allowance used up: ${normalized.value}`;
+        }
+
+        if (normalized.visitLimit)
+        {
+            return `Daily visit limit reached: ${normalized.value} (${normalized.visitLimit} visits)`;
+        }
+
+        return BlockRules.getRuleType(normalized) === 'domain'
+            ? `Domain blocked: ${normalized.value}`
+            : `URL rule blocked: ${normalized.value}`;
+    }
+
+    /**
+     * Get the next schedule change across a set of entries
+     */
+    static getNextChange(entries, date = new Date())
+    {
+        let next = null;
+
+        for (const entry of entries || [])
+        {
+            const normalized = BlockRules.normalizeEntry(entry);
+            if (!normalized?.schedule) continue;
+
+            const change = BlockRules.getNextScheduleChange(normalized.schedule, date);
+            if (change !== null && (next === null || change < next))
+            {
+                next = change;
+            }
+        }
+
+        return next;
+    }
+}
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.BlockRules = BlockRules;
+}
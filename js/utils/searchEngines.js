@@ -0,0 +1,172 @@
+/**
+ * Search Engines
+ * Registry of search adapters used by the content script to read the query
+ * and find result and autocomplete elements on search pages
+ *
+ * An adapter is plain data, so user-defined adapters can be stored in settings:
+ * - domains:               hosts the adapter applies to, subdomains included;
+ *                          "google.*" also matches country domains such as google.co.uk
+ * - queryParams:           URL parameters holding the query, first non-empty one wins
+ * - hashParams:            the same for parameters in the URL fragment
+ * - resultSelectors:       containers of single search results
+ * - autocompleteSelectors: single suggestions in the search box dropdown
+ */
+
+class SearchEngines
+{
+    /**
+     * Built-in adapters
+     * Selectors follow the sites' current markup and are updated with it
+     */
+    static get BUILT_IN()
+    {
+        return [
+            {
+                id: 'google',
+                name: 'Google',
+                domains: ['google.*'],
+                queryParams: ['q'],
+                hashParams: ['q'],
+                resultSelectors: ['#rso .g', '#rso .MjjYud'],
+                autocompleteSelectors: ['ul[role="listbox"] li[role="presentation"]']
+            },
+            {
+                id: 'bing',
+                name: 'Bing',
+                domains: ['bing.com'],
+                queryParams: ['q'],
+                resultSelectors: ['#b_results > li.b_algo', '#b_results > li.b_ans'],
+                autocompleteSelectors: ['#sw_as li', '.sa_sg']
+            },
+            {
+                id: 'duckduckgo',
+                name: 'DuckDuckGo',
+                domains: ['duckduckgo.com'],
+                queryParams: ['q'],
+                resultSelectors: ['article[data-testid="result"]', '.result'],
+                autocompleteSelectors: ['ul[role="listbox"] li', '.acp']
+            },
+            {
+                id: 'yahoo',
+                name: 'Yahoo',
+                domains: ['search.yahoo.com'],
+                queryParams: ['p'],
+                resultSelectors: ['.algo-sr', '#web li .algo'],
+                autocompleteSelectors: ['.sa-tray li']
+            },
+            {
+                id: 'youtube',
+                name: 'YouTube search',
+                domains: ['youtube.com'],
+                queryParams: ['search_query'],
+                resultSelectors: [
+                    'ytd-video-renderer',
+                    'ytd-channel-renderer',
+                    'ytd-playlist-renderer',
+                    'ytd-reel-shelf-renderer',
+                    'ytm-video-with-context-renderer'
+                ],
+                autocompleteSelectors: ['.sbsb_c', '.ytSearchboxComponentSuggestionsContainer [role="option"]']
+            },
+            {
+                id: 'reddit',
+                name: 'Reddit search',
+                domains: ['reddit.com'],
+                queryParams: ['q'],
+                resultSelectors: ['[data-testid="search-post-unit"]', 'search-telemetry-tracker', '.search-result'],
+                autocompleteSelectors: ['reddit-search-large li']
+            },
+            {
+                id: 'amazon',
+                name: 'Amazon',
+                domains: ['amazon.*'],
+                queryParams: ['k', 'field-keywords'],
+                resultSelectors: ['[data-component-type="s-search-result"]'],
+                autocompleteSelectors: ['.s-suggestion']
+            },
+            {
+                id: 'baidu',
+                name: 'Baidu',
+                domains: ['baidu.com'],
+                queryParams: ['wd', 'word'],
+                resultSelectors: ['#content_left > .result', '#content_left > .c-container'],
+                autocompleteSelectors: []
+            },
+            {
+                id: 'yandex',
+                name: 'Yandex',
+                domains: ['yandex.*', 'ya.ru'],
+                queryParams: ['text'],
+                resultSelectors: ['.serp-item'],
+                autocompleteSelectors: []
+            },
+            {
+                id: 'other',
+                name: 'Ask, AOL, Ecosia and Startpage',
+                domains: ['ask.com', 'search.aol.com', 'ecosia.org', 'startpage.com'],
+                queryParams: ['q', 'query'],
+                resultSelectors: [],
+                autocompleteSelectors: []
+            }
+        ];
+    }
+
+    /**
+     * Check if an adapter applies to a hostname
+     */
+    static matchesHost(adapter, hostname)
+    {
+        const host = Domains.normalizeHost(hostname);
+
+        return (adapter.domains || []).some(domain =>
+        {
+            if (!domain.endsWith('.*')) return Domains.matches(domain, host);
+
+            // Any country domain: one label, optionally after "co." or "com."
+            const name = domain.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`^(.+\\.)?${name}\\.((co|com)\\.)?[a-z]{2,3}$`).test(host);
+        });
+    }
+
+    /**
+     * Get the adapter for a hostname
+     * User-defined adapters come first, so they can replace outdated built-in selectors
+     */
+    static getAdapter(hostname, settings = {})
+    {
+        return [...(settings.customSearchEngines || []), ...SearchEngines.BUILT_IN]
+            .find(adapter => SearchEngines.matchesHost(adapter, hostname)) || null;
+    }
+
+    /**
+     * Read the search query from a URL
+     * Returns null when the URL is not a search
+     */
+    static extractQuery(adapter, url)
+    {
+        if (!adapter) return null;
+
+        const urlObj = new URL(url);
+        const sources = [
+            [urlObj.searchParams, adapter.queryParams],
+            [new URLSearchParams(urlObj.hash.replace(/^#\??/, '')), adapter.hashParams]
+        ];
+
+        for (const [params, names] of sources)
+        {
+            for (const name of names || [])
+            {
+                const value = params.get(name)?.trim();
+                if (value) return value;
+            }
+        }
+
+        return null;
+    }
+}
+
+// Make available globally if in browser context
+if (typeof window !== 'undefined')
+{
+    window.SearchEngines = SearchEngines;
+}
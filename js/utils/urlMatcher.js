@@ -0,0 +1,299 @@
+/**
+ * URL Matcher
+ * Compiled in-memory matcher for the background worker:
+ * a domain-suffix trie for domain entries and an Aho-Corasick automaton for keywords
+ * Domain entries match their subdomains too unless includeSubdomains is false
+ * Bundled category lists get a trie of their own, checked after the user's rules
+ * The automaton only prefilters keywords; KeywordMatcher decides the actual match
+ */
+
+class DomainTrie
+{
+    constructor()
+    {
+        this.root = { children: new Map(), entries: null };
+    }
+
+    /**
+     * Add an entry under a domain, stored by reversed labels
+     */
+    add(domain, entry)
+    {
+        let node = this.root;
+        const labels = domain.split('.');
+
+        for (let i = labels.length - 1; i >= 0; i--)
+        {
+            let child = node.children.get(labels[i]);
+            if (!child)
+            {
+                child = { children: new Map(), entries: null };
+                node.children.set(labels[i], child);
+            }
+            node = child;
+        }
+
+        (node.entries || (node.entries = [])).push(entry);
+    }
+
+    /**
+     * Walk a hostname from the TLD down
+     * Yields { entries, exact } for every stored suffix of the hostname
+     */
+    *lookup(hostname)
+    {
+        let node = this.root;
+        const labels = hostname.split('.');
+
+        for (let i = labels.length - 1; i >= 0; i--)
+        {
+            node = node.children.get(labels[i]);
+            if (!node) return;
+
+            if (node.entries)
+            {
+                yield { entries: node.entries, exact: i === 0 };
+            }
+        }
+    }
+}
+
+class KeywordAutomaton
+{
+    constructor()
+    {
+        this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+        this.built = false;
+    }
+
+    /**
+     * Add a keyword pattern with its entry
+     */
+    add(pattern, entry)
+    {
+        let state = 0;
+
+        for (const char of pattern)
+        {
+            let next = this.nodes[state].next.get(char);
+            if (next === undefined)
+            {
+                next = this.nodes.length;
+                this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+                this.nodes[state].next.set(char, next);
+            }
+            state = next;
+        }
+
+        this.nodes[state].outputs.push(entry);
+        this.built = false;
+    }
+
+    /**
+     * Compute failure links (breadth-first)
+     */
+    build()
+    {
+        const queue = [];
+
+        for (const next of this.nodes[0].next.values())
+        {
+            this.nodes[next].fail = 0;
+            queue.push(next);
+        }
+
+        for (let i = 0; i < queue.length; i++)
+        {
+            const state = queue[i];
+
+            for (const [char, next] of this.nodes[state].next)
+            {
+                let fail = this.nodes[state].fail;
+                while (fail !== 0 && !this.nodes[fail].next.has(char))
+                {
+                    fail = this.nodes[fail].fail;
+                }
+
+                const target = this.nodes[fail].next.get(char);
+                this.nodes[next].fail = target !== undefined && target !== next ? target : 0;
+                this.nodes[next].outputs.push(...this.nodes[this.nodes[next].fail].outputs);
+                queue.push(next);
+            }
+        }
+
+        this.built = true;
+    }
+
+    /**
+     * Find all entries whose pattern occurs in the text
+     */
+    search(text)
+    {
+        if (!this.built) this.build();
+
+        const found = new Set();
+        let state = 0;
+
+        for (const char of text)
+        {
+            while (state !== 0 && !this.nodes[state].next.has(char))
+            {
+                state = this.nodes[state].fail;
+            }
+
+            state = this.nodes[state].next.get(char) ?? 0;
+
+            for (const entry of this.nodes[state].outputs)
+            {
+                found.add(entry);
+            }
+        }
+
+        return [...found];
+    }
+}
+
+class UrlMatcher
+{
+    constructor(blocklist, categories = [])
+    {
+        this.domains = new DomainTrie();
+        this.categories = new DomainTrie();
+        this.keywords = new KeywordAutomaton();
+        this.leetKeywords = new KeywordAutomaton();
+        this.hasLeetKeywords = false;
+        this.patterns = [];
+        this.allowlist = [];
+        this.exceptions = [];
+
+        this.build(blocklist || {});
+
+        for (const category of categories)
+        {
+            category.domains.forEach(domain => this.categories.add(domain, category));
+        }
+    }
+
+    /**
+     * Compile the blocklist
+     * Entries are compiled regardless of schedule; schedules are checked at match time
+     */
+    build(blocklist)
+    {
+        for (const raw of blocklist.domains || [])
+        {
+            const entry = BlockRules.normalizeEntry(raw);
+            if (!entry) continue;
+
+            if (BlockRules.getRuleType(entry) === 'domain')
+            {
+                this.domains.add(entry.value, entry);
+            } else
+            {
+                this.patterns.push(entry);
+            }
+        }
+
+        // Keys are normalized like the searched text, with or without leet folding
+        for (const raw of blocklist.keywords || [])
+        {
+            const entry = BlockRules.normalizeEntry(raw);
+            const key = entry && KeywordMatcher.getSearchKey(entry);
+            if (!key) continue;
+
+            if (entry.leet)
+            {
+                this.leetKeywords.add(key, entry);
+                this.hasLeetKeywords = true;
+            } else
+            {
+                this.keywords.add(key, entry);
+            }
+        }
+
+        this.keywords.build();
+        this.leetKeywords.build();
+
+        this.allowlist = (blocklist.allowlist || [])
+            .map(raw => BlockRules.normalizeEntry(raw))
+            .filter(Boolean);
+
+        this.exceptions = (blocklist.exceptions || [])
+            .map(raw => BlockRules.normalizeEntry(raw))
+            .filter(Boolean);
+    }
+
+    /**
+     * Find the active domain, path, wildcard or regex entry matching a URL
+     */
+    matchUrlRule(urlObj, date = new Date())
+    {
+        const hostname = Domains.normalizeHost(urlObj.hostname);
+        let match = null;
+
+        // Suffixes come shortest first, so the most specific domain entry wins
+        for (const { entries, exact } of this.domains.lookup(hostname))
+        {
+            const entry = entries.find(candidate => BlockRules.isEntryActive(candidate, date) &&
+                (exact || BlockRules.includesSubdomains(candidate)));
+            if (entry) match = entry;
+        }
+
+        if (match) return match;
+
+        return this.patterns.find(entry =>
+            BlockRules.isEntryActive(entry, date) && BlockRules.matchesRule(entry, urlObj)
+        ) || null;
+    }
+
+    /**
+     * Find the blocked category listing a URL's domain or one of its parents, like requestDomains
+     */
+    matchCategory(urlObj)
+    {
+        const hostname = Domains.normalizeHost(urlObj.hostname);
+
+        for (const { entries } of this.categories.lookup(hostname))
+        {
+            return entries[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the first active keyword entry occurring in the text
+     */
+    matchKeyword(text, date = new Date())
+    {
+        const prepared = KeywordMatcher.prepare(text);
+        const candidates = [
+            ...this.keywords.search(prepared.get(false)),
+            ...(this.hasLeetKeywords ? this.leetKeywords.search(prepared.get(true)) : [])
+        ];
+
+        return candidates.find(entry =>
+            BlockRules.isEntryActive(entry, date) && KeywordMatcher.matches(entry, prepared)
+        ) || null;
+    }
+
+    /**
+     * Check if a URL is on the allowlist
+     */
+    isAllowed(urlObj, date = new Date())
+    {
+        return this.allowlist.some(entry =>
+            BlockRules.isEntryActive(entry, date) && BlockRules.matchesUrlPattern(entry.value, urlObj)
+        );
+    }
+
+    /**
+     * Check if a URL matches an exception, which keeps it reachable under a blocked domain
+     */
+    isException(urlObj, date = new Date())
+    {
+        return this.exceptions.some(entry =>
+            BlockRules.isEntryActive(entry, date) && BlockRules.matchesRule(entry, urlObj)
+        );
+    }
+}